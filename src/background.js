@@ -1,14 +1,84 @@
 // Portfolio Overlay Background Service Worker
 
+// Currency, number and asset type helpers shared with the pages (resolved next to this file)
+importScripts('format.js');
+
 // Default settings
 const DEFAULT_SETTINGS = {
   cacheDurationMinutes: 10,
-  monitoredPaths: ['/equities/', '/etfs/']
+  monitoredPaths: ['/equities/', '/etfs/', '/funds/', '/rates-bonds/', '/crypto/', '/commodities/', '/indices/', '/currencies/'],
+  exportColumns: ['symbol', 'exchange', 'name', 'pairId', 'currency', 'portfolio', 'qty', 'avgPrice', 'totalValue'],
+  baseCurrency: 'USD',
+  excludedPortfolioIds: [],
+  portfolioGroups: {},
+  badgeMetric: 'plPercent',
+  showListChips: true,
+  panelFields: PANEL_FIELDS,
+  panelCompact: false,
+  theme: 'auto',
+  edition: 'www',
+  numberLocale: 'en-US',
+  priceDecimals: 2,
+  currencyDisplay: 'symbol'
+};
+
+// Monitored paths from before other instrument types were supported; saved settings still on them are upgraded
+const LEGACY_MONITORED_PATHS = ['/equities/', '/etfs/'];
+
+// Columns available for export (selected and ordered by settings.exportColumns)
+const EXPORT_COLUMNS = {
+  symbol: row => row.symbol,
+  exchange: row => row.exchange,
+  name: row => row.name,
+  fullName: row => row.fullName,
+  pairId: row => row.pairId,
+  currency: row => row.currency,
+  portfolio: row => row.portfolio,
+  qty: row => row.qty,
+  avgPrice: row => row.avgPrice,
+  totalValue: row => row.totalValue,
+  url: (row, origin) => (row.url ? `${origin}${row.url}` : '')
 };
 
 // Alarm name for periodic refresh
 const REFRESH_ALARM_NAME = 'portfolioRefresh';
 
+// Number of days of daily value snapshots to keep
+const HISTORY_RETENTION_DAYS = 365;
+
+// Maximum number of holding changes kept in the change log
+const CHANGE_LOG_LIMIT = 200;
+
+// Offscreen document that parses investing.com HTML with DOMParser
+const OFFSCREEN_DOCUMENT_PATH = 'src/offscreen.html';
+
+// Alert conditions that can be set per holding
+const ALERT_TYPES = ['priceAbove', 'priceBelow', 'plAbove', 'plBelow', 'crossAvgPrice'];
+
+// Maximum number of sync attempts kept in the sync history
+const SYNC_HISTORY_LIMIT = 50;
+
+// Portfolio outcomes that count as a failed fetch
+const SYNC_FAILURE_OUTCOMES = ['http-error', 'network-error', 'parse-failure', 'mismatch'];
+
+// Consecutive failed syncs after which a portfolio is flagged as repeatedly failing
+const REPEATED_FAILURE_THRESHOLD = 3;
+
+// Toolbar badge colors
+const BADGE_COLORS = {
+  error: '#c62828',
+  warning: '#f57c00',
+  positive: '#2e7d32',
+  negative: '#c62828',
+  neutral: '#1256a0'
+};
+
+// Why investing.com served something other than the portfolio page
+const SESSION_PROBLEM_MESSAGES = {
+  'logged-out': 'Signed out of investing.com - sign in to refresh',
+  captcha: 'investing.com is asking to verify you are human - open investing.com to continue'
+};
+
 // Initialize storage with defaults on install
 chrome.runtime.onInstalled.addListener(async () => {
   const data = await chrome.storage.local.get(['settings']);
@@ -18,6 +88,10 @@ chrome.runtime.onInstalled.addListener(async () => {
       lastSync: null,
       portfolioData: {}
     });
+  } else if (JSON.stringify(data.settings.monitoredPaths) === JSON.stringify(LEGACY_MONITORED_PATHS)) {
+    await chrome.storage.local.set({
+      settings: { ...data.settings, monitoredPaths: DEFAULT_SETTINGS.monitoredPaths }
+    });
   }
   // Set up periodic refresh alarm using saved settings (or defaults if none)
   const settings = data.settings || DEFAULT_SETTINGS;
@@ -43,9 +117,9 @@ if (chrome.alarms) {
   chrome.alarms.onAlarm.addListener(async (alarm) => {
     if (alarm.name === REFRESH_ALARM_NAME) {
       try {
-        await fetchAndParsePortfolio();
+        await requestSync('alarm');
       } catch (err) {
-        // Silently fail - will retry on next alarm or user request
+        // Recorded in the sync history - will retry on next alarm or user request
       }
     }
   });
@@ -61,22 +135,121 @@ if (chrome.alarms) {
   })();
 }
 
+// Restore the toolbar badge when the service worker starts
+updateActionBadge();
+
 // Listen for messages from content script and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'GET_PORTFOLIO_DATA') {
-    handleGetPortfolioData(message.symbol, message.exchange, message.isin, message.pairId)
+    handleGetPortfolioData(message.symbol, message.exchange, message.isin, message.pairId, message.url)
+      .then(sendResponse)
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'GET_ALL_HOLDINGS') {
+    getAllHoldings()
+      .then(sendResponse)
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'GET_HISTORY') {
+    chrome.storage.local.get(['portfolioHistory'])
+      .then(data => sendResponse({ history: data.portfolioHistory || [] }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'GET_ALERTS') {
+    getAlerts([message.holdingKey])
+      .then(alerts => sendResponse({ alerts }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'ADD_ALERT') {
+    addAlert(message.holdingKey, message.alertType, message.level)
+      .then(alerts => sendResponse({ alerts }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'DELETE_ALERT') {
+    deleteAlert(message.id)
+      .then(alerts => sendResponse({ alerts }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'GET_MANUAL_HOLDINGS') {
+    getManualHoldings()
+      .then(manualHoldings => sendResponse({ manualHoldings }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'SAVE_MANUAL_HOLDING') {
+    saveManualHolding(message.holding)
+      .then(manualHoldings => sendResponse({ manualHoldings }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'IMPORT_MANUAL_HOLDINGS') {
+    importManualHoldings(message.holdings || [], message.account, message.replace)
+      .then(manualHoldings => sendResponse({ manualHoldings }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'DELETE_MANUAL_HOLDING') {
+    deleteManualHolding(message.id)
+      .then(manualHoldings => sendResponse({ manualHoldings }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'PRICE_UPDATE') {
+    checkPriceAlerts(message.prices)
+      .then(alerts => sendResponse({ alerts }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'GET_CHANGE_LOG') {
+    chrome.storage.local.get(['changeLog'])
+      .then(data => sendResponse({ changeLog: data.changeLog || [] }))
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'EXPORT_HOLDINGS') {
+    exportHoldings(message.format)
       .then(sendResponse)
       .catch(err => sendResponse({ error: err.message }));
     return true;
   }
 
   if (message.type === 'FORCE_REFRESH') {
-    fetchAndParsePortfolio()
+    requestSync('manual')
       .then(() => sendResponse({ success: true }))
       .catch(err => sendResponse({ error: err.message }));
     return true;
   }
 
+  if (message.type === 'GET_SYNC_HISTORY') {
+    getSyncHistory()
+      .then(sendResponse)
+      .catch(err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'CANCEL_SYNC') {
+    sendResponse({ cancelled: cancelSync() });
+    return false;
+  }
+
   if (message.type === 'GET_STATUS') {
     getStatus()
       .then(sendResponse)
@@ -94,7 +267,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         aggregatedHoldings: {}
       };
       for (const [key, holding] of Object.entries(data.portfolioData || {})) {
-        result.aggregatedHoldings[key] = { symbol: holding.symbol, exchange: holding.exchange, qty: holding.qty, avgPrice: holding.avgPrice, currency: holding.currency };
+        result.aggregatedHoldings[key] = { symbol: holding.symbol, exchange: holding.exchange, qty: holding.qty, avgPrice: holding.avgPrice, currency: holding.currency, portfolios: holding.portfolios || [] };
       }
       sendResponse(result);
     });
@@ -102,9 +275,26 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.type === 'SAVE_SETTINGS') {
-    chrome.storage.local.set({ settings: message.settings })
+    let resyncNeeded = false;
+    chrome.storage.local.get(['settings'])
+      .then(data => {
+        const oldSettings = { ...DEFAULT_SETTINGS, ...data.settings };
+        resyncNeeded = exclusionsChanged(oldSettings, message.settings) ||
+          oldSettings.edition !== { ...DEFAULT_SETTINGS, ...message.settings }.edition;
+        return chrome.storage.local.set({ settings: message.settings });
+      })
       .then(() => setupRefreshAlarm(message.settings.cacheDurationMinutes))
-      .then(() => sendResponse({ success: true }))
+      .then(() => chrome.storage.local.get(['portfolioData']))
+      .then(data => refreshFxRates(data.portfolioData || {}, { ...DEFAULT_SETTINGS, ...message.settings }))
+      .then(() => updateActionBadge())
+      .then(() => {
+        // Excluded portfolios are skipped while syncing, and the edition decides where
+        // portfolios are read from, so re-sync in the background
+        if (resyncNeeded) {
+          requestSync('settings').catch(err => console.warn('Refresh after settings change failed:', err.message));
+        }
+        sendResponse({ success: true });
+      })
       .catch(err => sendResponse({ error: err.message }));
     return true;
   }
@@ -118,6 +308,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         debugInfo: {}
       }))
       .then(() => setupRefreshAlarm(DEFAULT_SETTINGS.cacheDurationMinutes))
+      .then(() => updateActionBadge())
       .then(() => sendResponse({ success: true }))
       .catch(err => sendResponse({ error: err.message }));
     return true;
@@ -126,18 +317,40 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 // Get current status for popup
 async function getStatus() {
-  const data = await chrome.storage.local.get(['settings', 'lastSync', 'portfolioData']);
+  const data = await chrome.storage.local.get(['settings', 'lastSync', 'portfolioData', 'debugInfo', 'sessionProblem']);
   return {
-    settings: data.settings || DEFAULT_SETTINGS,
+    settings: { ...DEFAULT_SETTINGS, ...data.settings },
     lastSync: data.lastSync,
-    holdingsCount: Object.keys(data.portfolioData || {}).length
+    holdingsCount: Object.keys(data.portfolioData || {}).length,
+    portfoliosFound: (data.debugInfo && data.debugInfo.portfoliosFound) || [],
+    sync: describeSync(activeSync),
+    sessionProblem: data.sessionProblem || null,
+    unknownCurrencies: getUnknownCurrencies(data.portfolioData || {})
   };
 }
 
-// Handle portfolio data request from content script
-async function handleGetPortfolioData(symbol, exchange, isin, pairId) {
+// Currency symbols of cached holdings that don't map to an ISO code, with the symbols held in each
+function getUnknownCurrencies(portfolioData) {
+  const unknown = {};
+  for (const holding of Object.values(portfolioData)) {
+    if (getCurrencyCode(holding.currency)) continue;
+    const currency = decodeHtmlEntities(holding.currency);
+    (unknown[currency] = unknown[currency] || []).push(holding.symbol);
+  }
+  return Object.entries(unknown).map(([currency, symbols]) => ({ currency, symbols }));
+}
+
+// Check whether the set of excluded portfolios differs between two settings objects
+function exclusionsChanged(oldSettings, newSettings) {
+  const oldExcluded = [...(oldSettings.excludedPortfolioIds || [])].sort();
+  const newExcluded = [...(newSettings.excludedPortfolioIds || [])].sort();
+  return oldExcluded.join(',') !== newExcluded.join(',');
+}
+
+// Get cached portfolio data, refreshing it first if the cache is stale
+async function getPortfolioData() {
   const data = await chrome.storage.local.get(['settings', 'lastSync', 'portfolioData']);
-  const settings = data.settings || DEFAULT_SETTINGS;
+  const settings = { ...DEFAULT_SETTINGS, ...data.settings };
   const lastSync = data.lastSync;
   let portfolioData = data.portfolioData || {};
 
@@ -145,19 +358,169 @@ async function handleGetPortfolioData(symbol, exchange, isin, pairId) {
   const cacheAge = lastSync ? (Date.now() - lastSync) / 1000 / 60 : Infinity;
   if (cacheAge > settings.cacheDurationMinutes) {
     try {
-      portfolioData = await fetchAndParsePortfolio();
+      portfolioData = await requestSync('stale-cache');
     } catch (err) {
-      // Continue with stale cache if available
+      // Continue with stale cache if available (the failure is in the sync history)
     }
   }
 
+  // Manual holdings are stored apart from synced data, so syncs never overwrite them
+  const manual = await chrome.storage.local.get(['manualHoldings']);
+  return { portfolioData: addManualHoldings(portfolioData, manual.manualHoldings || []), lastSync: data.lastSync };
+}
+
+// Get all holdings with the FX rates needed to convert them to the base currency
+async function getAllHoldings() {
+  const { portfolioData, lastSync } = await getPortfolioData();
+  const data = await chrome.storage.local.get(['settings', 'fxRates']);
+  const baseCurrency = { ...DEFAULT_SETTINGS, ...data.settings }.baseCurrency;
+  const fxRates = data.fxRates && data.fxRates.base === baseCurrency ? data.fxRates.rates : {};
+  const edition = { ...DEFAULT_SETTINGS, ...data.settings }.edition;
+  return { portfolioData, lastSync, baseCurrency, fxRates, edition, displaySettings: getDisplaySettings(data.settings) };
+}
+
+// Number and currency display settings, for pages that format holdings (see setDisplayFormat in format.js)
+function getDisplaySettings(savedSettings) {
+  const { numberLocale, priceDecimals, currencyDisplay } = { ...DEFAULT_SETTINGS, ...savedSettings };
+  return { numberLocale, priceDecimals, currencyDisplay };
+}
+
+// Handle portfolio data request from content script
+async function handleGetPortfolioData(symbol, exchange, isin, pairId, url) {
+  const { portfolioData, lastSync } = await getPortfolioData();
+
   // Find matching holding
-  const match = findMatch(portfolioData, symbol, exchange, isin, pairId);
-  return { match, lastSync: data.lastSync };
+  const match = findMatch(portfolioData, symbol, exchange, isin, pairId, url);
+  const fx = match ? await getFxRate(match.currency) : null;
+  const portfolioTotal = match ? await getPortfolioTotal(portfolioData) : null;
+
+  // Find watchlists the asset is on (shown when it is not held)
+  const data = await chrome.storage.local.get(['watchlistData', 'settings', 'sessionProblem']);
+  const watchlist = findWatchlistMatch(data.watchlistData || {}, symbol, pairId, url);
+  const portfolioGroups = { ...DEFAULT_SETTINGS, ...data.settings }.portfolioGroups;
+  const sessionProblem = data.sessionProblem || null;
+
+  return { match, holdingKey: match ? getHoldingKey(match) : null, fx, portfolioTotal, portfolioGroups, watchlist, lastSync, sessionProblem };
+}
+
+// Total cached value of all holdings in the base currency, used for position weights.
+// Holdings without a known exchange rate are left out.
+async function getPortfolioTotal(portfolioData) {
+  const data = await chrome.storage.local.get(['settings', 'fxRates']);
+  const baseCurrency = { ...DEFAULT_SETTINGS, ...data.settings }.baseCurrency;
+  const fxRates = data.fxRates && data.fxRates.base === baseCurrency ? data.fxRates.rates : {};
+  let total = 0;
+  for (const holding of Object.values(portfolioData)) {
+    total += convertToBase(holding.totalValue || 0, holding.currency, baseCurrency, fxRates) || 0;
+  }
+  return total;
+}
+
+// Find a watched asset by pairId, page URL or symbol
+function findWatchlistMatch(watchlistData, symbol, pairId, url) {
+  if (pairId && watchlistData[pairId]) {
+    return watchlistData[pairId];
+  }
+
+  const entries = Object.values(watchlistData);
+  if (url) {
+    const urlMatch = entries.find(entry => entry.url && entry.url === url);
+    if (urlMatch) return urlMatch;
+  }
+  if (symbol) {
+    return entries.find(entry => entry.symbol === symbol) || null;
+  }
+
+  return null;
+}
+
+// Storage key of a holding (symbol:exchange, or symbol alone without exchange)
+function getHoldingKey(holding) {
+  return holding.exchange ? `${holding.symbol}:${holding.exchange}` : holding.symbol;
+}
+
+// Export cached holdings as CSV or JSON using the configured column layout
+async function exportHoldings(format) {
+  const data = await chrome.storage.local.get(['settings', 'portfolioData', 'manualHoldings']);
+  const settings = { ...DEFAULT_SETTINGS, ...data.settings };
+  const columns = settings.exportColumns;
+
+  const unknownColumns = columns.filter(column => !EXPORT_COLUMNS[column]);
+  if (unknownColumns.length > 0) {
+    throw new Error(`Unknown export column(s): ${unknownColumns.join(', ')}`);
+  }
+
+  // With a portfolio column, emit one row per portfolio the holding is attributed to
+  const rows = [];
+  for (const holding of Object.values(addManualHoldings(data.portfolioData || {}, data.manualHoldings || []))) {
+    if (columns.includes('portfolio') && holding.portfolios) {
+      for (const contribution of holding.portfolios) {
+        rows.push({
+          ...holding,
+          portfolio: contribution.portfolioName,
+          qty: contribution.qty,
+          avgPrice: contribution.avgPrice,
+          totalValue: contribution.totalValue
+        });
+      }
+    } else {
+      rows.push({ ...holding, portfolio: (holding.portfolios || []).map(p => p.portfolioName).join('; ') });
+    }
+  }
+
+  // Prices and values are rounded to the display decimals, and currencies shown as symbol or ISO code
+  // like everywhere else; numbers stay unformatted so spreadsheets and scripts can read them
+  for (const row of rows) {
+    row.avgPrice = roundTo(row.avgPrice, settings.priceDecimals);
+    row.totalValue = roundTo(row.totalValue, settings.priceDecimals);
+    row.currency = settings.currencyDisplay === 'code'
+      ? getCurrencyCode(row.currency) || decodeHtmlEntities(row.currency)
+      : decodeHtmlEntities(row.currency);
+  }
+
+  // Asset page links point to the investing.com edition the portfolios are synced from
+  const origin = getInvestingOrigin(settings.edition);
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (format === 'json') {
+    const records = rows.map(row => Object.fromEntries(columns.map(column => [column, EXPORT_COLUMNS[column](row, origin)])));
+    return {
+      filename: `portfolio-${date}.json`,
+      mimeType: 'application/json',
+      content: JSON.stringify(records, null, 2)
+    };
+  }
+
+  if (format === 'csv') {
+    const lines = [columns.map(escapeCsvValue).join(',')];
+    for (const row of rows) {
+      lines.push(columns.map(column => escapeCsvValue(EXPORT_COLUMNS[column](row, origin))).join(','));
+    }
+    // Byte order mark so spreadsheet apps read currency symbols as UTF-8
+    return {
+      filename: `portfolio-${date}.csv`,
+      mimeType: 'text/csv',
+      content: '\uFEFF' + lines.join('\r\n')
+    };
+  }
+
+  throw new Error(`Unsupported export format: ${format}`);
+}
+
+// Round a number to the given decimal places (other values are returned unchanged)
+function roundTo(value, decimals) {
+  if (typeof value !== 'number' || !Number.isInteger(decimals)) return value;
+  return Math.round(value * 10 ** decimals) / 10 ** decimals;
+}
+
+// Quote a CSV value if it contains a delimiter, quote or newline
+function escapeCsvValue(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
 }
 
-// Find a matching holding by symbol+exchange, symbol, ISIN, or pairId
-function findMatch(portfolioData, symbol, exchange, isin, pairId) {
+// Find a matching holding by symbol+exchange, symbol, ISIN, pairId or asset page URL
+function findMatch(portfolioData, symbol, exchange, isin, pairId, url) {
   // Try exact symbol:exchange match first (preferred)
   if (symbol && exchange) {
     const key = `${symbol}:${exchange}`;
@@ -171,6 +534,16 @@ function findMatch(portfolioData, symbol, exchange, isin, pairId) {
     return portfolioData[symbol];
   }
 
+  // Crypto pages have no exchange, while the portfolio lists the exchange the coin was bought on.
+  // A coin held on several exchanges is shown as one position.
+  if (!exchange) {
+    const coins = Object.values(portfolioData).filter(holding => holding.assetType === 'crypto' &&
+      ((symbol && holding.symbol === symbol) || (pairId && holding.pairId === pairId) || (url && holding.url === url)));
+    if (coins.length > 0) {
+      return combineHoldings(coins);
+    }
+  }
+
   // Try matching by pairId or ISIN
   for (const key of Object.keys(portfolioData)) {
     const holding = portfolioData[key];
@@ -180,139 +553,687 @@ function findMatch(portfolioData, symbol, exchange, isin, pairId) {
     if (isin && holding.isin === isin) {
       return holding;
     }
+    if (url && holding.url === url) {
+      return holding;
+    }
   }
 
   return null;
 }
 
-// Fetch and parse all holdings portfolios
-async function fetchAndParsePortfolio() {
+// Combine holdings of the same instrument into one, aggregating them like mergePortfolioData.
+// The first holding's exchange is kept, so its alerts stay attached to the combined position.
+function combineHoldings(holdings) {
+  return holdings.reduce((combined, holding) => {
+    const qty = combined.qty + holding.qty;
+    return {
+      ...combined,
+      qty,
+      avgPrice: (combined.avgPrice * combined.qty + holding.avgPrice * holding.qty) / qty,
+      totalValue: combined.totalValue !== null && holding.totalValue !== null ? combined.totalValue + holding.totalValue : null,
+      portfolios: [...(combined.portfolios || []), ...(holding.portfolios || [])],
+      lots: [...(combined.lots || []), ...(holding.lots || [])]
+    };
+  });
+}
+
+// In-flight offscreen document creation, shared by concurrent callers
+let creatingOffscreenDocument = null;
+
+// Create the offscreen parser document unless it is already open
+async function ensureOffscreenDocument() {
+  const offscreenUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [offscreenUrl]
+  });
+  if (contexts.length > 0) return;
+
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ['DOM_PARSER'],
+      justification: 'Parse investing.com portfolio pages with DOMParser'
+    }).finally(() => {
+      creatingOffscreenDocument = null;
+    });
+  }
+  await creatingOffscreenDocument;
+}
+
+// Send HTML to the offscreen document and get structured data back
+async function parseInOffscreen(type, html) {
+  await ensureOffscreenDocument();
+  const result = await chrome.runtime.sendMessage({ target: 'offscreen', type, html });
+  if (!result) {
+    throw new Error('Offscreen parser did not respond');
+  }
+  if (result.error) {
+    throw new Error(`Failed to parse page: ${result.error}`);
+  }
+  return result;
+}
+
+// The sync currently running, shared by every caller so syncs never overlap
+let activeSync = null;
+
+// Start a sync, or join the one already running.
+// trigger records who asked for it: 'alarm', 'manual', 'stale-cache' or 'settings'.
+function requestSync(trigger) {
+  if (activeSync) {
+    return activeSync.promise;
+  }
+
+  const sync = {
+    trigger,
+    startedAt: Date.now(),
+    abortController: new AbortController(),
+    progress: { phase: 'main' },
+    portfolioOutcomes: {}
+  };
+  activeSync = sync;
+  broadcastSyncProgress(sync);
+
+  sync.promise = runSync(sync);
+  return sync.promise;
+}
+
+// Run a sync to completion and record the attempt in the sync history
+async function runSync(sync) {
+  try {
+    const portfolioData = await fetchAndParsePortfolio(sync);
+    await recordSyncAttempt(sync, 'ok', null, Object.keys(portfolioData).length);
+    return portfolioData;
+  } catch (err) {
+    // Aborted fetches fail with a generic error - report the cancellation instead
+    const cancelled = sync.abortController.signal.aborted;
+    const error = cancelled ? new Error('Sync cancelled') : err;
+    await recordSyncAttempt(sync, cancelled ? 'cancelled' : 'failed', error.message, null);
+    throw error;
+  } finally {
+    activeSync = null;
+    broadcastSyncProgress(null);
+    await updateActionBadge();
+  }
+}
+
+// Cancel the running sync. Returns false when there is nothing to cancel.
+function cancelSync() {
+  if (!activeSync) return false;
+  activeSync.abortController.abort();
+  reportSyncProgress(activeSync, { ...activeSync.progress, phase: 'cancelling' });
+  return true;
+}
+
+// Record how far a sync has got and tell any open popup
+function reportSyncProgress(sync, progress) {
+  sync.progress = progress;
+  broadcastSyncProgress(sync);
+}
+
+// Send sync progress to extension pages (null when no sync is running)
+function broadcastSyncProgress(sync) {
+  // Rejects when no popup is open to receive it
+  chrome.runtime.sendMessage({ type: 'SYNC_PROGRESS', sync: describeSync(sync) }).catch(() => {});
+}
+
+// Describe a sync for the popup: trigger, start time and progress
+// (phase, current/total within the phase, and the portfolio being fetched)
+function describeSync(sync) {
+  if (!sync) return null;
+  return { trigger: sync.trigger, startedAt: sync.startedAt, ...sync.progress };
+}
+
+// Record the latest outcome of fetching one portfolio or watchlist during a sync.
+// A retry overwrites the first round's outcome.
+function recordPortfolioOutcome(sync, portfolio, type, outcome, detail, retried) {
+  sync.portfolioOutcomes[`${type}:${portfolio.numericId}`] = {
+    id: portfolio.numericId,
+    name: portfolio.name || portfolio.numericId,
+    type,
+    outcome,
+    detail: detail || null,
+    retried: !!retried
+  };
+}
+
+// Add a finished sync attempt to the bounded sync history (newest first).
+// A sync that completed with some portfolios failing is recorded as partial.
+async function recordSyncAttempt(sync, status, error, holdingsCount) {
+  const portfolios = Object.values(sync.portfolioOutcomes);
+  const anyFailed = portfolios.some(portfolio => SYNC_FAILURE_OUTCOMES.includes(portfolio.outcome));
+  const entry = {
+    trigger: sync.trigger,
+    startedAt: sync.startedAt,
+    durationMs: Date.now() - sync.startedAt,
+    status: status === 'ok' && anyFailed ? 'partial' : status,
+    error,
+    holdingsCount,
+    portfolios
+  };
+
+  const data = await chrome.storage.local.get(['syncHistory']);
+  const syncHistory = [entry, ...(data.syncHistory || [])].slice(0, SYNC_HISTORY_LIMIT);
+  await chrome.storage.local.set({ syncHistory });
+}
+
+// Get the sync history with the portfolios that keep failing
+async function getSyncHistory() {
+  const data = await chrome.storage.local.get(['syncHistory']);
+  const history = data.syncHistory || [];
+  return { history, failingPortfolios: findRepeatedlyFailingPortfolios(history) };
+}
+
+// Find portfolios whose most recent attempts all failed, at least REPEATED_FAILURE_THRESHOLD in a row
+function findRepeatedlyFailingPortfolios(history) {
+  const streaks = {};
+  const streakEnded = new Set();
+
+  for (const entry of history) {
+    for (const portfolio of entry.portfolios) {
+      const key = `${portfolio.type}:${portfolio.id}`;
+      if (streakEnded.has(key)) continue;
+
+      if (!SYNC_FAILURE_OUTCOMES.includes(portfolio.outcome)) {
+        streakEnded.add(key);
+        continue;
+      }
+
+      if (!streaks[key]) {
+        // History is newest first, so the first failure seen is the latest one
+        streaks[key] = { ...portfolio, failures: 0 };
+      }
+      streaks[key].failures++;
+    }
+  }
+
+  return Object.values(streaks).filter(streak => streak.failures >= REPEATED_FAILURE_THRESHOLD);
+}
+
+// Stop a sync at the next checkpoint once it has been cancelled
+function throwIfCancelled(sync) {
+  if (sync.abortController.signal.aborted) {
+    throw new Error('Sync cancelled');
+  }
+}
+
+// Wait between retries, returning early if the sync is cancelled
+function waitForRetry(sync, delayMs) {
+  return new Promise(resolve => {
+    if (sync.abortController.signal.aborted) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(resolve, delayMs);
+    sync.abortController.signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+// Fetch and parse all holdings portfolios. Run through requestSync, which supplies
+// the sync used for progress reporting and cancellation.
+async function fetchAndParsePortfolio(sync) {
+  const signal = sync.abortController.signal;
+
+  // Keep the previous holdings to diff against once this sync completes
+  const previous = await chrome.storage.local.get(['portfolioData']);
+  const previousPortfolioData = previous.portfolioData || {};
+
+  // Portfolios are read from the investing.com edition chosen in settings
+  const settingsData = await chrome.storage.local.get(['settings']);
+  const settings = { ...DEFAULT_SETTINGS, ...settingsData.settings };
+  const origin = getInvestingOrigin(settings.edition);
+
   // First, fetch the main portfolio page to get all tabs
-  const mainResponse = await fetch('https://www.investing.com/portfolio/', {
+  const mainResponse = await fetch(`${origin}/portfolio/`, {
     credentials: 'include',
-    cache: 'no-store'
+    cache: 'no-store',
+    signal
+  });
+
+  const mainHtml = await mainResponse.text();
+  throwIfCancelled(sync);
+
+  // Bot checks come with an error status, so look for one before giving up on an error page
+  const mainPage = await parseInOffscreen('PARSE_PORTFOLIO_PAGE', mainHtml).catch(err => {
+    if (mainResponse.ok) throw err;
+    return null;
   });
+  if (mainPage && mainPage.blocked) {
+    await flagSessionProblem(mainPage.blocked);
+  }
 
   if (!mainResponse.ok) {
     throw new Error(`Failed to fetch portfolio: ${mainResponse.status}`);
   }
 
-  const mainHtml = await mainResponse.text();
+  // Keep the last good cache rather than replacing it with nothing
+  if (mainPage.holdingsPortfolios.length === 0 && mainPage.watchlistPortfolios.length === 0) {
+    throw new Error('No portfolios found on the investing.com portfolio page');
+  }
+  await setSessionProblem(null);
 
   // Extract all holdings portfolio tabs
-  const holdingsPortfolios = extractHoldingsPortfolios(mainHtml);
+  const holdingsPortfolios = mainPage.holdingsPortfolios;
 
   // Build new data in temporary variable, only overwrite storage when complete
   let newPortfolioData = {};
   let debugInfo = {
-    portfoliosFound: holdingsPortfolios.map(p => ({ id: p.numericId, name: p.name, publicId: p.publicId || null })),
+    portfoliosFound: holdingsPortfolios.map(p => ({
+      id: p.numericId,
+      name: p.name,
+      publicId: p.publicId || null,
+      excluded: settings.excludedPortfolioIds.includes(p.numericId)
+    })),
     holdingsPerPortfolio: {}
   };
 
   // First round: fetch all portfolios quickly with no retries
   const failedPortfolios = [];
 
-  for (const portfolio of holdingsPortfolios) {
+  for (const [index, portfolio] of holdingsPortfolios.entries()) {
+    throwIfCancelled(sync);
+    reportSyncProgress(sync, { phase: 'portfolios', current: index + 1, total: holdingsPortfolios.length, portfolioName: portfolio.name });
+
+    // Portfolios excluded in settings (e.g. paper trading) are not counted
+    if (settings.excludedPortfolioIds.includes(portfolio.numericId)) {
+      debugInfo.holdingsPerPortfolio[portfolio.name || portfolio.numericId] = { excluded: true, holdings: [] };
+      recordPortfolioOutcome(sync, portfolio, 'holdings', 'excluded');
+      continue;
+    }
+
     // Only fetch portfolios that have a publicId - skip others to avoid double-counting from mainHtml
     if (!portfolio.publicId) {
       debugInfo.holdingsPerPortfolio[portfolio.name || portfolio.numericId] = { skipped: 'no publicId', holdings: [] };
+      recordPortfolioOutcome(sync, portfolio, 'holdings', 'skipped', 'no publicId');
       continue;
     }
 
-    const portfolioUrl = `https://www.investing.com/portfolio/?portfolioID=${encodeURIComponent(portfolio.publicId)}`;
-    const expectedId = portfolio.numericId;
-
-    try {
-      const response = await fetch(portfolioUrl, { credentials: 'include', cache: 'no-store' });
-
-      if (!response.ok) {
-        failedPortfolios.push(portfolio);
-        continue;
-      }
-
-      const portfolioHtml = await response.text();
-      const selectedPortfolioId = extractSelectedPortfolioId(portfolioHtml);
-      const isCorrectPortfolio = selectedPortfolioId === expectedId;
-
-      if (!isCorrectPortfolio) {
-        console.info(`Portfolio "${portfolio.name}" mismatch on first try, will retry later`);
-        failedPortfolios.push(portfolio);
-        continue;
-      }
+    const result = await fetchPortfolioPage(sync, portfolio, origin);
+    recordPortfolioOutcome(sync, portfolio, 'holdings', result.outcome, result.detail);
 
-      // Parse and merge holdings
-      mergePortfolioData(newPortfolioData, debugInfo, portfolio, portfolioUrl, portfolioHtml, expectedId, selectedPortfolioId);
-    } catch (err) {
+    if (result.outcome !== 'ok') {
+      console.info(`Portfolio "${portfolio.name}" failed on first try (${result.outcome}), will retry later`);
       failedPortfolios.push(portfolio);
+      continue;
     }
+
+    // Parse and merge holdings
+    mergePortfolioData(newPortfolioData, debugInfo, portfolio, result.portfolioUrl, result.page.holdings, portfolio.numericId, result.page.selectedPortfolioId);
   }
 
   // Save first round results immediately
+  throwIfCancelled(sync);
   await chrome.storage.local.set({
     portfolioData: newPortfolioData,
     debugInfo: debugInfo,
     lastSync: Date.now()
   });
 
+  // Fetch watchlists before the slow retry round (they only feed the watchlist badge)
+  await fetchWatchlists(sync, mainPage.watchlistPortfolios, debugInfo, origin);
+
   // Second round: retry failed portfolios with 10s delay between each
   if (failedPortfolios.length > 0) {
     console.info(`Retrying ${failedPortfolios.length} failed portfolio(s) with delays...`);
 
-    for (const portfolio of failedPortfolios) {
-      await new Promise(resolve => setTimeout(resolve, 10000));
+    for (const [index, portfolio] of failedPortfolios.entries()) {
+      reportSyncProgress(sync, { phase: 'retry', current: index + 1, total: failedPortfolios.length, portfolioName: portfolio.name });
+      await waitForRetry(sync, 10000);
+      throwIfCancelled(sync);
+
+      const result = await fetchPortfolioPage(sync, portfolio, origin);
+      recordPortfolioOutcome(sync, portfolio, 'holdings', result.outcome, result.detail, true);
+
+      if (result.outcome !== 'ok') {
+        console.warn(`Failed to fetch portfolio "${portfolio.name}" on retry: ${result.detail}`);
+        debugInfo.holdingsPerPortfolio[portfolio.name || portfolio.numericId] = {
+          skipped: result.outcome === 'mismatch' ? `mismatch on retry - ${result.detail}` : result.detail,
+          fetchedUrl: result.portfolioUrl,
+          holdings: []
+        };
+        continue;
+      }
 
-      const portfolioUrl = `https://www.investing.com/portfolio/?portfolioID=${encodeURIComponent(portfolio.publicId)}`;
-      const expectedId = portfolio.numericId;
+      // Parse and merge holdings
+      mergePortfolioData(newPortfolioData, debugInfo, portfolio, result.portfolioUrl, result.page.holdings, portfolio.numericId, result.page.selectedPortfolioId);
+
+      // Save after each successful retry
+      await chrome.storage.local.set({
+        portfolioData: newPortfolioData,
+        debugInfo: debugInfo,
+        lastSync: Date.now()
+      });
+    }
 
-      try {
-        const response = await fetch(portfolioUrl, { credentials: 'include', cache: 'no-store' });
-
-        if (!response.ok) {
-          console.warn(`Failed to fetch portfolio "${portfolio.name}" on retry: HTTP ${response.status}`);
-          debugInfo.holdingsPerPortfolio[portfolio.name || portfolio.numericId] = {
-            skipped: `HTTP error ${response.status}`,
-            fetchedUrl: portfolioUrl,
-            holdings: []
-          };
-          continue;
-        }
+    // Persist the retry round's failures too, so the popup's debug view shows each portfolio's outcome
+    await chrome.storage.local.set({ debugInfo });
+  }
 
-        const portfolioHtml = await response.text();
-        const selectedPortfolioId = extractSelectedPortfolioId(portfolioHtml);
-        const isCorrectPortfolio = selectedPortfolioId === expectedId;
-
-        if (!isCorrectPortfolio) {
-          console.warn(`Failed to fetch portfolio "${portfolio.name}" on retry. Expected ID: ${expectedId}, Got: ${selectedPortfolioId}`);
-          debugInfo.holdingsPerPortfolio[portfolio.name || portfolio.numericId] = {
-            skipped: `mismatch on retry - expected ${expectedId}, got ${selectedPortfolioId}`,
-            fetchedUrl: portfolioUrl,
-            holdings: []
-          };
-          continue;
-        }
+  // A sync cancelled during the retry round keeps its saved results but skips
+  // the change log, which would otherwise report the unfetched portfolios as closed
+  throwIfCancelled(sync);
+  reportSyncProgress(sync, { phase: 'finishing' });
 
-        // Parse and merge holdings
-        mergePortfolioData(newPortfolioData, debugInfo, portfolio, portfolioUrl, portfolioHtml, expectedId, selectedPortfolioId);
+  const fxRates = await refreshFxRates(newPortfolioData, settings);
 
-        // Save after each successful retry
-        await chrome.storage.local.set({
-          portfolioData: newPortfolioData,
-          debugInfo: debugInfo,
-          lastSync: Date.now()
-        });
-      } catch (err) {
-        console.warn(`Error fetching portfolio "${portfolio.name}" on retry:`, err.message);
-      }
+  await recordHistorySnapshot(newPortfolioData, settings.baseCurrency, fxRates);
+
+  const failedPortfolioNames = Object.entries(debugInfo.holdingsPerPortfolio)
+    .filter(([, info]) => info.skipped)
+    .map(([name]) => name);
+  // Excluding a portfolio or switching edition changes which positions are synced, not what
+  // was traded, so a sync started by a settings change takes a fresh baseline instead
+  if (sync.trigger !== 'settings') {
+    await recordSyncChanges(previousPortfolioData, newPortfolioData, failedPortfolioNames);
+  }
+
+  // Evaluate alerts against the last known price of each holding
+  const lastKnownPrices = {};
+  for (const [key, holding] of Object.entries(newPortfolioData)) {
+    if (holding.qty && holding.totalValue) {
+      lastKnownPrices[key] = holding.totalValue / (holding.qty * getPriceScale(holding.assetType));
     }
   }
+  await checkPriceAlerts(lastKnownPrices);
 
   return newPortfolioData;
 }
 
-// Helper to parse and merge portfolio data
-function mergePortfolioData(newPortfolioData, debugInfo, portfolio, portfolioUrl, portfolioHtml, expectedId, selectedPortfolioId) {
-  const portfolioData = parsePortfolioHTML(portfolioHtml);
+// Fetch one portfolio tab and check that investing.com served the tab asked for.
+// outcome is ok, http-error, network-error, parse-failure or mismatch; detail explains a failure.
+async function fetchPortfolioPage(sync, portfolio, origin) {
+  const portfolioUrl = `${origin}/portfolio/?portfolioID=${encodeURIComponent(portfolio.publicId)}`;
+
+  let response;
+  try {
+    response = await fetch(portfolioUrl, { credentials: 'include', cache: 'no-store', signal: sync.abortController.signal });
+  } catch (err) {
+    // A fetch aborted by cancelling the sync says nothing about the portfolio
+    throwIfCancelled(sync);
+    return { outcome: 'network-error', detail: err.message, portfolioUrl };
+  }
+
+  if (!response.ok) {
+    return { outcome: 'http-error', detail: `HTTP error ${response.status}`, portfolioUrl };
+  }
+
+  let page;
+  try {
+    page = await parseInOffscreen('PARSE_PORTFOLIO_PAGE', await response.text());
+  } catch (err) {
+    return { outcome: 'parse-failure', detail: err.message, portfolioUrl };
+  }
+
+  // The session ended mid-sync - stop before partial results replace the cache
+  if (page.blocked) {
+    await flagSessionProblem(page.blocked);
+  }
+
+  if (page.selectedPortfolioId !== portfolio.numericId) {
+    return { outcome: 'mismatch', detail: `expected ${portfolio.numericId}, got ${page.selectedPortfolioId}`, page, portfolioUrl };
+  }
+
+  return { outcome: 'ok', page, portfolioUrl };
+}
+
+// Record that investing.com served a sign-in or bot check page, then fail the sync
+async function flagSessionProblem(state) {
+  await setSessionProblem(state);
+  throw new Error(SESSION_PROBLEM_MESSAGES[state]);
+}
+
+// Store (or clear, with null) the session problem and update the toolbar badge
+async function setSessionProblem(state) {
+  const data = await chrome.storage.local.get(['sessionProblem']);
+  const currentState = data.sessionProblem ? data.sessionProblem.state : null;
+  if (currentState === (state || null)) return;
+
+  if (state) {
+    await chrome.storage.local.set({ sessionProblem: { state, message: SESSION_PROBLEM_MESSAGES[state], detectedAt: Date.now() } });
+  } else {
+    await chrome.storage.local.remove('sessionProblem');
+  }
+  await updateActionBadge();
+}
+
+// Update the toolbar badge: a session problem always shows a red "!", otherwise
+// the metric chosen in settings (P/L %, holdings count, or a warning when the
+// last sync failed or the cache is older than the cache duration)
+async function updateActionBadge() {
+  if (!chrome.action) return; // Guard for missing action API
+  const data = await chrome.storage.local.get(['settings', 'portfolioData', 'fxRates', 'lastSync', 'syncHistory', 'sessionProblem']);
+  const badge = getBadge(data);
+
+  await chrome.action.setBadgeText({ text: badge.text });
+  await chrome.action.setBadgeBackgroundColor({ color: badge.color });
+  await chrome.action.setTitle({ title: badge.title ? `Portfolio Overlay - ${badge.title}` : 'Portfolio Overlay' });
+}
+
+// Work out the badge text, color and tooltip from stored data
+function getBadge(data) {
+  const settings = { ...DEFAULT_SETTINGS, ...data.settings };
+  const portfolioData = data.portfolioData || {};
+
+  if (data.sessionProblem) {
+    return { text: '!', color: BADGE_COLORS.error, title: data.sessionProblem.message };
+  }
+
+  if (settings.badgeMetric === 'holdingsCount') {
+    const count = Object.keys(portfolioData).length;
+    return { text: count ? String(count) : '', color: BADGE_COLORS.neutral, title: `${count} holdings` };
+  }
+
+  if (settings.badgeMetric === 'plPercent') {
+    const fxRates = data.fxRates && data.fxRates.base === settings.baseCurrency ? data.fxRates.rates : {};
+    const plPercent = getTotalPlPercent(portfolioData, settings.baseCurrency, fxRates);
+    if (plPercent === null) {
+      return { text: '', color: BADGE_COLORS.neutral, title: '' };
+    }
+    const sign = plPercent >= 0 ? '+' : '-';
+    return {
+      text: `${sign}${Math.min(Math.round(Math.abs(plPercent)), 999)}%`,
+      color: plPercent >= 0 ? BADGE_COLORS.positive : BADGE_COLORS.negative,
+      title: `Total P/L ${sign}${Math.abs(plPercent).toFixed(2)}%`
+    };
+  }
+
+  if (settings.badgeMetric === 'warning') {
+    const lastAttempt = (data.syncHistory || [])[0];
+    if (lastAttempt && lastAttempt.status === 'failed') {
+      return { text: '!', color: BADGE_COLORS.warning, title: `Last sync failed: ${lastAttempt.error}` };
+    }
+    const cacheAgeMinutes = data.lastSync ? (Date.now() - data.lastSync) / 1000 / 60 : Infinity;
+    if (cacheAgeMinutes > settings.cacheDurationMinutes) {
+      return { text: '!', color: BADGE_COLORS.warning, title: data.lastSync ? 'Holdings are out of date' : 'Not synced yet' };
+    }
+  }
+
+  return { text: '', color: BADGE_COLORS.neutral, title: '' };
+}
+
+// Total P/L % across holdings from cached values, in the base currency.
+// Holdings without a known exchange rate are left out; null when nothing has a cost.
+function getTotalPlPercent(portfolioData, baseCurrency, fxRates) {
+  let cost = 0;
+  let value = 0;
+  for (const holding of Object.values(portfolioData)) {
+    const holdingCost = convertToBase(holding.qty * holding.avgPrice * getPriceScale(holding.assetType), holding.currency, baseCurrency, fxRates);
+    const holdingValue = convertToBase(holding.totalValue || 0, holding.currency, baseCurrency, fxRates);
+    if (holdingCost === null || holdingValue === null || !holdingCost) continue;
+    cost += holdingCost;
+    value += holdingValue;
+  }
+  return cost ? ((value - cost) / cost) * 100 : null;
+}
+
+// Compare two holdings snapshots and list opened, closed and changed positions
+function diffPortfolioData(previousData, newData) {
+  const changes = [];
+  // Ignore floating point noise from weighted average calculations
+  const differs = (a, b) => Math.abs((a || 0) - (b || 0)) > 1e-6 * Math.max(1, Math.abs(a || 0));
+
+  for (const [key, holding] of Object.entries(newData)) {
+    const old = previousData[key];
+    if (!old) {
+      changes.push({ type: 'opened', key, symbol: holding.symbol, exchange: holding.exchange, newQty: holding.qty, newAvgPrice: holding.avgPrice });
+    } else if (differs(old.qty, holding.qty) || differs(old.avgPrice, holding.avgPrice)) {
+      changes.push({
+        type: 'changed',
+        key,
+        symbol: holding.symbol,
+        exchange: holding.exchange,
+        oldQty: old.qty,
+        newQty: holding.qty,
+        oldAvgPrice: old.avgPrice,
+        newAvgPrice: holding.avgPrice
+      });
+    }
+  }
+
+  for (const [key, old] of Object.entries(previousData)) {
+    if (!newData[key]) {
+      changes.push({ type: 'closed', key, symbol: old.symbol, exchange: old.exchange, oldQty: old.qty, oldAvgPrice: old.avgPrice });
+    }
+  }
+
+  return changes;
+}
+
+// Append holding changes to the change log and raise a notification
+async function recordSyncChanges(previousPortfolioData, newPortfolioData, failedPortfolioNames) {
+  // First sync (or after clearing data) - nothing to compare against
+  if (Object.keys(previousPortfolioData).length === 0) return;
+
+  const changes = diffPortfolioData(previousPortfolioData, newPortfolioData);
+  if (changes.length === 0) return;
+
+  const timestamp = Date.now();
+  const data = await chrome.storage.local.get(['changeLog']);
+  const entries = changes.map(change => ({ ...change, timestamp, failedPortfolios: failedPortfolioNames }));
+  const changeLog = [...entries, ...(data.changeLog || [])].slice(0, CHANGE_LOG_LIMIT);
+  await chrome.storage.local.set({ changeLog });
+
+  notifyChanges(changes, failedPortfolioNames);
+}
+
+// Describe a single holding change for display
+function describeChange(change) {
+  const label = change.exchange ? `${change.symbol} (${change.exchange})` : change.symbol;
+  if (change.type === 'opened') return `Opened ${label}: ${change.newQty}`;
+  if (change.type === 'closed') return `Closed ${label}: was ${change.oldQty}`;
+  if (change.oldQty !== change.newQty) return `${label} qty ${change.oldQty} \u2192 ${change.newQty}`;
+  return `${label} avg. price ${change.oldAvgPrice.toFixed(2)} \u2192 ${change.newAvgPrice.toFixed(2)}`;
+}
+
+// Show a desktop notification summarizing holding changes
+function notifyChanges(changes, failedPortfolioNames) {
+  if (!chrome.notifications) return; // Guard for missing notifications API
 
+  const maxLines = 4;
+  const lines = changes.slice(0, maxLines).map(describeChange);
+  if (changes.length > maxLines) {
+    lines.push(`...and ${changes.length - maxLines} more`);
+  }
+  if (failedPortfolioNames.length > 0) {
+    lines.push(`Failed to load: ${failedPortfolioNames.join(', ')}`);
+  }
+
+  chrome.notifications.create(`portfolioChanges-${Date.now()}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('publishing/icons/icon128.png'),
+    title: `Portfolio changes detected (${changes.length})`,
+    message: lines.join('\n')
+  });
+}
+
+// Record a compact daily snapshot of portfolio values (the day's latest sync wins).
+// Holding values stay in their native currency; the total is in the base currency.
+async function recordHistorySnapshot(portfolioData, baseCurrency, fxRates) {
+  const data = await chrome.storage.local.get(['portfolioHistory']);
+  const now = new Date();
+  const date = formatDateKey(now);
+
+  const holdings = {};
+  let totalValue = 0;
+  for (const [key, holding] of Object.entries(portfolioData)) {
+    const value = Math.round((holding.totalValue || 0) * 100) / 100;
+    holdings[key] = value;
+    totalValue += convertToBase(value, holding.currency, baseCurrency, fxRates) || 0;
+  }
+
+  const cutoff = formatDateKey(new Date(now.getTime() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  const history = (data.portfolioHistory || []).filter(snapshot => snapshot.date !== date && snapshot.date >= cutoff);
+  history.push({
+    date,
+    timestamp: now.getTime(),
+    totalValue: Math.round(totalValue * 100) / 100,
+    currency: baseCurrency,
+    holdings
+  });
+
+  await chrome.storage.local.set({ portfolioHistory: history });
+}
+
+// Format a date as a local YYYY-MM-DD key
+function formatDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Fetch and parse watchlist portfolios into watchlistData (single attempt each)
+async function fetchWatchlists(sync, watchlistPortfolios, debugInfo, origin) {
+  const watchlistData = {};
+  debugInfo.watchlistsFound = watchlistPortfolios.map(p => ({ id: p.numericId, name: p.name, publicId: p.publicId || null }));
+  debugInfo.itemsPerWatchlist = {};
+
+  for (const [index, watchlist] of watchlistPortfolios.entries()) {
+    throwIfCancelled(sync);
+    reportSyncProgress(sync, { phase: 'watchlists', current: index + 1, total: watchlistPortfolios.length, portfolioName: watchlist.name });
+
+    const watchlistName = watchlist.name || watchlist.numericId;
+    if (!watchlist.publicId) {
+      debugInfo.itemsPerWatchlist[watchlistName] = { skipped: 'no publicId', items: [] };
+      recordPortfolioOutcome(sync, watchlist, 'watchlist', 'skipped', 'no publicId');
+      continue;
+    }
+
+    const result = await fetchPortfolioPage(sync, watchlist, origin);
+    recordPortfolioOutcome(sync, watchlist, 'watchlist', result.outcome, result.detail);
+
+    if (result.outcome !== 'ok') {
+      debugInfo.itemsPerWatchlist[watchlistName] = {
+        skipped: result.outcome === 'mismatch' ? `mismatch - ${result.detail}` : result.detail,
+        fetchedUrl: result.portfolioUrl,
+        items: []
+      };
+      continue;
+    }
+
+    const items = result.page.watchlistItems;
+    debugInfo.itemsPerWatchlist[watchlistName] = {
+      fetchedUrl: result.portfolioUrl,
+      itemCount: items.length,
+      items: items.map(item => item.symbol)
+    };
+
+    for (const item of items) {
+      const key = item.pairId || item.url || item.symbol;
+      if (!watchlistData[key]) {
+        watchlistData[key] = { pairId: item.pairId, symbol: item.symbol, name: item.name, url: item.url, watchlists: [] };
+      }
+      watchlistData[key].watchlists.push({ name: watchlistName, note: item.note, targetPrice: item.targetPrice });
+    }
+  }
+
+  await chrome.storage.local.set({ watchlistData, debugInfo });
+}
+
+// Helper to merge one portfolio's parsed holdings into the combined data
+function mergePortfolioData(newPortfolioData, debugInfo, portfolio, portfolioUrl, portfolioData, expectedId, selectedPortfolioId) {
   // Store debug info for this portfolio
   const portfolioKey = portfolio.name || portfolio.numericId;
   debugInfo.holdingsPerPortfolio[portfolioKey] = {
@@ -327,6 +1248,16 @@ function mergePortfolioData(newPortfolioData, debugInfo, portfolio, portfolioUrl
 
   // Merge into newPortfolioData (keys are already symbol:exchange format)
   for (const [key, holding] of Object.entries(portfolioData)) {
+    // Keep this portfolio's contribution so the panel can show a per-portfolio breakdown
+    const contribution = {
+      portfolioId: portfolio.numericId,
+      portfolioName: portfolio.name || portfolio.numericId,
+      qty: holding.qty,
+      avgPrice: holding.avgPrice,
+      totalValue: holding.totalValue
+    };
+    const lots = holding.lots.map(lot => ({ ...lot, portfolioName: contribution.portfolioName }));
+
     if (newPortfolioData[key]) {
       // Aggregate quantities and calculate weighted average price
       const existing = newPortfolioData[key];
@@ -338,226 +1269,366 @@ function mergePortfolioData(newPortfolioData, debugInfo, portfolio, portfolioUrl
         ...existing,
         qty: newQty,
         avgPrice: newAvgPrice,
-        totalValue: newTotalValue
+        totalValue: newTotalValue,
+        portfolios: [...existing.portfolios, contribution],
+        lots: [...existing.lots, ...lots]
       };
     } else {
-      newPortfolioData[key] = holding;
+      newPortfolioData[key] = { ...holding, portfolios: [contribution], lots };
     }
   }
 }
 
-// Extract the currently selected portfolio ID from the HTML
-function extractSelectedPortfolioId(html) {
-  // Look for the selected/active portfolio tab - it usually has "selected" or "active" class
-  const selectedTabRegex = /<li[^>]+portfolioTab[^>]*(selected|active)[^>]*data-portfolio-id="(\d+)"/i;
-  const match1 = html.match(selectedTabRegex);
-  if (match1) {
-    return match1[2];
-  }
+// Get the manual holdings (positions held outside investing.com)
+async function getManualHoldings() {
+  const data = await chrome.storage.local.get(['manualHoldings']);
+  return data.manualHoldings || [];
+}
 
-  // Alternative: class might come after data-portfolio-id
-  const selectedTabRegex2 = /<li[^>]+data-portfolio-id="(\d+)"[^>]*(selected|active)/i;
-  const match2 = html.match(selectedTabRegex2);
-  if (match2) {
-    return match2[1];
+// Check a manual holding's fields against the synced holdings and the other manual holdings,
+// and return them cleaned up (without id). Throws when invalid.
+function validateManualHolding(holding, portfolioData, manualHoldings) {
+  const symbol = String(holding.symbol || '').trim();
+  const exchange = String(holding.exchange || '').trim();
+  const currency = String(holding.currency || '').trim();
+  const qty = Number(holding.qty);
+  const avgPrice = Number(holding.avgPrice);
+  if (!symbol) {
+    throw new Error('Symbol is required');
+  }
+  if (!Number.isFinite(qty) || qty <= 0) {
+    throw new Error('Quantity must be a positive number');
+  }
+  if (!Number.isFinite(avgPrice) || avgPrice < 0) {
+    throw new Error('Avg. price must be a number');
+  }
+  if (!currency) {
+    throw new Error('Currency is required');
   }
 
-  // Fallback: look for any indication of selected state
-  const selectedTabRegex3 = /<li[^>]+portfolioTab\s+selected[^>]*data-portfolio-id="(\d+)"/i;
-  const match3 = html.match(selectedTabRegex3);
-  if (match3) {
-    return match3[1];
+  // A manual holding adds to a synced one of the same instrument, so their prices must be in one currency
+  const key = getHoldingKey({ symbol, exchange });
+  const synced = portfolioData[key];
+  if (synced && getCurrencyCode(synced.currency) !== getCurrencyCode(currency)) {
+    throw new Error(`${key} is held on investing.com in ${decodeHtmlEntities(synced.currency)}; enter its price in that currency`);
+  }
+  // Manual holdings of one instrument are merged too
+  const manual = manualHoldings.find(other => getHoldingKey(other) === key && getCurrencyCode(other.currency) !== getCurrencyCode(currency));
+  if (manual) {
+    throw new Error(`${key} is already entered as a manual holding in ${manual.currency}; enter its price in that currency`);
   }
 
-  return null;
+  const { url, pairId } = parseAssetPageLink(holding.url);
+
+  const lots = Array.isArray(holding.lots)
+    ? holding.lots.map(lot => ({
+      openTime: lot.openTime,
+      qty: Number(lot.qty),
+      openPrice: Number(lot.openPrice),
+      commission: Number(lot.commission) || 0
+    }))
+    : null;
+  return { symbol, exchange, qty, avgPrice, currency, account: String(holding.account || '').trim(), url, pairId, lots };
 }
 
-// Extract holdings portfolio tabs from the main page HTML
-function extractHoldingsPortfolios(html) {
-  const portfolios = [];
-
-  // Find <li> tags with portfolioTab class and capture content until closing </li>
-  const liRegex = /<li[^>]+portfolioTab[^>]*>([\s\S]*?)<\/li>/gi;
+// Read the investing.com asset page link entered for a manual holding into its path and, for
+// another exchange's listing (?cid=), its pairId. Empty when no link is given; throws for other links.
+function parseAssetPageLink(link) {
+  const text = String(link || '').trim();
+  if (!text) {
+    return { url: '', pairId: '' };
+  }
+  let parsed = null;
+  try {
+    parsed = new URL(text, 'https://www.investing.com');
+  } catch (err) {
+    // Reported below
+  }
+  if (!parsed || !/(^|\.)investing\.com$/.test(parsed.hostname) || !getAssetType(parsed.pathname)) {
+    throw new Error('Asset page must be a link to the instrument\'s page on investing.com');
+  }
+  return { url: parsed.pathname, pairId: parsed.searchParams.get('cid') || '' };
+}
 
-  let match;
-  while ((match = liRegex.exec(html)) !== null) {
-    const liTag = match[0];
-    const liContent = match[1];
+// Add a manual holding, or update the one with the same id, and return all manual holdings
+async function saveManualHolding(holding) {
+  const data = await chrome.storage.local.get(['manualHoldings', 'portfolioData']);
+  const manualHoldings = data.manualHoldings || [];
+  const others = manualHoldings.filter(existing => !holding.id || existing.id !== holding.id);
+  const saved = validateManualHolding(holding, data.portfolioData || {}, others);
+  saved.id = holding.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+  const index = manualHoldings.findIndex(existing => existing.id === saved.id);
+  const previous = manualHoldings[index];
+  if (!saved.lots) {
+    // Imported lots stay with an edited holding unless its quantity or price changed
+    const unchanged = previous && previous.qty === saved.qty && previous.avgPrice === saved.avgPrice;
+    saved.lots = unchanged ? previous.lots || [] : [];
+  }
+  if (index === -1) {
+    manualHoldings.push(saved);
+  } else {
+    manualHoldings[index] = saved;
+  }
+  await chrome.storage.local.set({ manualHoldings });
+  return manualHoldings;
+}
 
-    // Extract numeric ID and title from the <li> tag
-    const numericId = extractAttr(liTag, 'data-portfolio-id');
-    const title = extractAttr(liTag, 'title');
+// Save positions imported from a broker CSV as manual holdings of one account, replacing
+// that account's earlier holdings when asked. Nothing is saved if any position is invalid.
+async function importManualHoldings(holdings, account, replace) {
+  const data = await chrome.storage.local.get(['manualHoldings', 'portfolioData']);
+  const accountLabel = String(account || '').trim();
+  const kept = (data.manualHoldings || []).filter(holding => !replace || holding.account !== accountLabel);
+  const errors = [];
+  const imported = [];
+  holdings.forEach((holding, index) => {
+    try {
+      const saved = validateManualHolding({ ...holding, account: accountLabel }, data.portfolioData || {}, [...kept, ...imported]);
+      imported.push({ ...saved, id: `${Date.now()}-${index}-${Math.random().toString(36).slice(2, 8)}`, lots: saved.lots || [] });
+    } catch (err) {
+      errors.push(`${holding.symbol || `Position ${index + 1}`}: ${err.message}`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
 
-    // Look for data-publicid anywhere in the <li> content (it's URL-encoded)
-    const publicIdMatch = liContent.match(/data-publicid="([^"]+)"/i);
-    let publicId = publicIdMatch ? decodeURIComponent(publicIdMatch[1]) : '';
+  const manualHoldings = [...kept, ...imported];
+  await chrome.storage.local.set({ manualHoldings });
+  return manualHoldings;
+}
 
-    // Get content after this <li> tag to check for positionIcon
-    const afterMatch = html.substring(match.index, match.index + 500);
+// Delete a manual holding and return the remaining ones
+async function deleteManualHolding(id) {
+  const remaining = (await getManualHoldings()).filter(holding => holding.id !== id);
+  await chrome.storage.local.set({ manualHoldings: remaining });
+  return remaining;
+}
 
-    // Only include if it has positionIcon (holdings), not watchlistIcon
-    if (afterMatch.includes('positionIcon') && !afterMatch.includes('watchlistIcon')) {
-      // Avoid duplicates
-      if (numericId && !portfolios.find(p => p.numericId === numericId)) {
-        portfolios.push({
-          id: publicId || numericId,
-          numericId: numericId,
-          publicId: publicId,
-          name: title
-        });
-      }
+// Merge manual holdings into synced portfolio data (without changing it). Each becomes a
+// contribution marked manual; one for an instrument also held on investing.com adds to it.
+function addManualHoldings(portfolioData, manualHoldings) {
+  const merged = { ...portfolioData };
+  for (const manual of manualHoldings) {
+    const key = getHoldingKey(manual);
+    const existing = merged[key];
+
+    // Manual holdings have no market value of their own; value them at the synced holding's last price
+    const lastPrice = existing && existing.qty && existing.totalValue ? existing.totalValue / existing.qty : null;
+    const totalValue = lastPrice !== null ? lastPrice * manual.qty : null;
+    const contribution = {
+      portfolioId: `manual:${manual.id}`,
+      portfolioName: manual.account || 'Manual',
+      manual: true,
+      qty: manual.qty,
+      avgPrice: manual.avgPrice,
+      totalValue
+    };
+    const lots = (manual.lots || []).map(lot => ({ ...lot, portfolioName: contribution.portfolioName }));
+
+    if (existing) {
+      const qty = existing.qty + manual.qty;
+      merged[key] = {
+        ...existing,
+        qty,
+        avgPrice: (existing.avgPrice * existing.qty + manual.avgPrice * manual.qty) / qty,
+        totalValue: existing.totalValue !== null && totalValue !== null ? existing.totalValue + totalValue : null,
+        portfolios: [...(existing.portfolios || []), contribution],
+        lots: [...(existing.lots || []), ...lots]
+      };
+    } else {
+      merged[key] = {
+        symbol: manual.symbol,
+        exchange: manual.exchange,
+        name: manual.symbol,
+        pairId: manual.pairId || '',
+        qty: manual.qty,
+        avgPrice: manual.avgPrice,
+        totalValue: null,
+        currency: manual.currency,
+        url: manual.url || '',
+        assetType: getAssetType(manual.url),
+        portfolios: [contribution],
+        lots
+      };
     }
   }
-
-  return portfolios;
+  return merged;
 }
 
-// Parse portfolio HTML to extract holdings using regex (DOMParser not available in service workers)
-function parsePortfolioHTML(html) {
-  const portfolioData = {};
+// Get the base currency and the rate converting a holding's currency into it
+async function getFxRate(currencySymbol) {
+  const data = await chrome.storage.local.get(['settings', 'fxRates']);
+  const baseCurrency = { ...DEFAULT_SETTINGS, ...data.settings }.baseCurrency;
+  const currency = getCurrencyCode(currencySymbol);
+  if (currency === baseCurrency) {
+    return { baseCurrency, rate: 1 };
+  }
+  const rates = data.fxRates && data.fxRates.base === baseCurrency ? data.fxRates.rates : {};
+  return { baseCurrency, rate: rates[currency] ? rates[currency].rate : null };
+}
 
-  // Alternative regex that's more flexible with attribute order
-  const trRegex = /<tr[^>]*class="openPositionTR[^"]*"[^>]*>([\s\S]*?)<\/tr>/gi;
+// Fetch rates into the base currency for every currency held, reusing rates
+// younger than the cache duration. Failed pairs keep their previous rate.
+async function refreshFxRates(portfolioData, settings) {
+  const baseCurrency = settings.baseCurrency;
+  const origin = getInvestingOrigin(settings.edition);
+  const data = await chrome.storage.local.get(['fxRates']);
+  const rates = data.fxRates && data.fxRates.base === baseCurrency ? { ...data.fxRates.rates } : {};
+  const maxAgeMs = settings.cacheDurationMinutes * 60 * 1000;
+
+  const currencies = new Set(Object.values(portfolioData).map(holding => getCurrencyCode(holding.currency)));
+  for (const currency of currencies) {
+    // Unknown currencies have no pair page to read a rate from (they are reported in the popup)
+    if (!currency || currency === baseCurrency) continue;
+    if (rates[currency] && Date.now() - rates[currency].fetchedAt < maxAgeMs) continue;
 
-  let match;
-  while ((match = trRegex.exec(html)) !== null) {
     try {
-      const trTag = match[0];
-      const trContent = match[1];
-
-      // Extract data attributes from the tr tag
-      const pairId = extractAttr(trTag, 'data-pair-id');
-      const amount = parseFloat(extractAttr(trTag, 'data-amount')) || 0;
-      const avgPrice = parseFloat(extractAttr(trTag, 'data-open-price')) || 0;
-      const name = extractAttr(trTag, 'data-pair-name') || '';
-      const fullName = extractAttr(trTag, 'data-fullname') || '';
-      const openTime = extractAttr(trTag, 'data-open-time') || '';
-      const currencySymbol = extractAttr(trTag, 'data-commission-cur') || '$';
-
-      // Extract symbol from td with data-column-name="sum_pos_fpb_symbols"
-      const symbolMatch = trContent.match(/data-column-name="sum_pos_fpb_symbols"[^>]*>[\s\S]*?<a[^>]*>([^<]+)<\/a>/i);
-      const symbol = symbolMatch ? symbolMatch[1].trim() : '';
-
-      // Extract exchange from td with data-column-name="exchange"
-      const exchangeMatch = trContent.match(/data-column-name="exchange"[^>]*title="([^"]*)"/i);
-      const exchange = exchangeMatch ? exchangeMatch[1].trim() : '';
-
-      // Extract market value from td with data-column-name="sum_pos_market_value"
-      const valueMatch = trContent.match(/data-column-name="sum_pos_market_value"[^>]*?title="([^"]*)"/i);
-      const totalValueStr = valueMatch ? valueMatch[1] : '';
-      let totalValue = parseMoneyValue(totalValueStr);
-
-      // If no market value found, calculate from current price if available
-      if (!totalValue && amount > 0) {
-        const curPrice = parseFloat(extractAttr(trTag, 'data-curprice')) || 0;
-        if (curPrice > 0) {
-          totalValue = amount * curPrice;
-        }
-      }
-
-      // Extract URL
-      const urlMatch = trContent.match(/href="(\/(?:equities|etfs)\/[^"]+)"/i);
-      const url = urlMatch ? urlMatch[1] : '';
-
-      if (symbol) {
-        // Use symbol:exchange as the key to distinguish same ticker on different exchanges
-        const key = exchange ? `${symbol}:${exchange}` : symbol;
-
-        if (portfolioData[key]) {
-          // Same symbol on same exchange - aggregate quantities and calculate weighted average price
-          const existing = portfolioData[key];
-          const newQty = existing.qty + amount;
-          const newAvgPrice = (existing.avgPrice * existing.qty + avgPrice * amount) / newQty;
-          const newTotalValue = existing.totalValue + totalValue;
-
-          portfolioData[key] = {
-            ...existing,
-            qty: newQty,
-            avgPrice: newAvgPrice,
-            totalValue: newTotalValue
-          };
-        } else {
-          portfolioData[key] = {
-            symbol,
-            exchange,
-            name,
-            fullName,
-            pairId,
-            qty: amount,
-            avgPrice,
-            totalValue,
-            openTime,
-            url,
-            currency: currencySymbol
-          };
-        }
-      }
+      rates[currency] = { rate: await fetchFxRate(currency, baseCurrency, origin), fetchedAt: Date.now() };
     } catch (err) {
-      // Skip malformed rows
+      console.warn(`Failed to fetch ${currency}/${baseCurrency} rate:`, err.message);
     }
   }
 
-  return portfolioData;
-}
-
-// Helper to extract an attribute value from an HTML tag string
-function extractAttr(tag, attrName) {
-  const regex = new RegExp(`${attrName}="([^"]*)"`, 'i');
-  const match = tag.match(regex);
-  return match ? decodeHtmlEntities(match[1]) : '';
-}
-
-// Decode HTML entities
-function decodeHtmlEntities(str) {
-  if (!str) return str;
-  const entities = {
-    '&amp;': '&',
-    '&lt;': '<',
-    '&gt;': '>',
-    '&quot;': '"',
-    '&#39;': "'",
-    '&apos;': "'",
-    '&#x20ac;': '€',
-    '&euro;': '€',
-    '&#x24;': '$',
-    '&#36;': '$',
-    '&#x00a3;': '£',
-    '&pound;': '£',
-    '&#x00a5;': '¥',
-    '&yen;': '¥',
-    '&#x20a3;': '₣',
-    '&#x20b9;': '₹',
-    '&#x20aa;': '₪'
-  };
+  await chrome.storage.local.set({ fxRates: { base: baseCurrency, rates } });
+  return rates;
+}
+
+// Fetch a rate from the edition's currency pair pages, trying the inverse pair if needed
+async function fetchFxRate(from, to, origin) {
+  const direct = await fetchCurrencyPairPrice(from, to, origin);
+  if (direct) return direct;
+
+  const inverse = await fetchCurrencyPairPrice(to, from, origin);
+  if (inverse) return 1 / inverse;
 
-  // Replace named/numeric entities
-  let result = str;
-  for (const [entity, char] of Object.entries(entities)) {
-    result = result.replace(new RegExp(entity, 'gi'), char);
+  throw new Error(`No ${from}/${to} pair page found`);
+}
+
+// Fetch the last price from a currency pair page (e.g. /currencies/eur-usd)
+async function fetchCurrencyPairPrice(from, to, origin) {
+  const pairUrl = `${origin}/currencies/${from.toLowerCase()}-${to.toLowerCase()}`;
+  const response = await fetch(pairUrl, { credentials: 'include', cache: 'no-store' });
+  if (!response.ok) return null;
+
+  const pairPage = await parseInOffscreen('PARSE_INSTRUMENT_PAGE', await response.text());
+  return pairPage.lastPrice;
+}
+
+// Get alerts for the given holding keys
+async function getAlerts(holdingKeys) {
+  const data = await chrome.storage.local.get(['priceAlerts']);
+  return (data.priceAlerts || []).filter(alert => holdingKeys.includes(alert.holdingKey));
+}
+
+// Add an alert to a holding and return that holding's alerts
+async function addAlert(holdingKey, alertType, level) {
+  if (!ALERT_TYPES.includes(alertType)) {
+    throw new Error(`Unknown alert type: ${alertType}`);
+  }
+  if (alertType !== 'crossAvgPrice' && !Number.isFinite(level)) {
+    throw new Error('Alert level must be a number');
   }
 
-  // Handle any remaining numeric entities (&#xNNNN; or &#NNNN;)
-  result = result.replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
-  result = result.replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)));
+  const data = await chrome.storage.local.get(['priceAlerts']);
+  const priceAlerts = data.priceAlerts || [];
+  priceAlerts.push({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    holdingKey,
+    type: alertType,
+    level: alertType === 'crossAvgPrice' ? null : level,
+    createdAt: Date.now(),
+    triggeredAt: null
+  });
+  await chrome.storage.local.set({ priceAlerts });
+  return priceAlerts.filter(alert => alert.holdingKey === holdingKey);
+}
 
-  return result;
+// Delete an alert and return the remaining alerts of its holding
+async function deleteAlert(id) {
+  const data = await chrome.storage.local.get(['priceAlerts']);
+  const priceAlerts = data.priceAlerts || [];
+  const deleted = priceAlerts.find(alert => alert.id === id);
+  const remaining = priceAlerts.filter(alert => alert.id !== id);
+  await chrome.storage.local.set({ priceAlerts: remaining });
+  return deleted ? remaining.filter(alert => alert.holdingKey === deleted.holdingKey) : [];
 }
 
-// Parse money value like "$173,982.64" or "$51.17K" to number
-function parseMoneyValue(str) {
-  if (!str) return 0;
+// Evaluate untriggered alerts against prices ({ holdingKey: price }), notify and
+// return the alerts of those holdings. Alerts fire once and stay triggered.
+async function checkPriceAlerts(prices) {
+  const holdingKeys = Object.keys(prices);
+  if (holdingKeys.length === 0) return [];
+
+  const data = await chrome.storage.local.get(['priceAlerts', 'portfolioData', 'manualHoldings']);
+  const priceAlerts = data.priceAlerts || [];
+  const portfolioData = addManualHoldings(data.portfolioData || {}, data.manualHoldings || []);
+  let changed = false;
+
+  for (const alert of priceAlerts) {
+    const price = prices[alert.holdingKey];
+    if (!price || alert.triggeredAt) continue;
+
+    const holding = portfolioData[alert.holdingKey];
+    if (isAlertTriggered(alert, price, holding?.avgPrice)) {
+      alert.triggeredAt = Date.now();
+      alert.triggeredPrice = price;
+      notifyAlert(alert, holding);
+      changed = true;
+    }
 
-  // Remove currency symbol and spaces
-  let clean = str.replace(/[$€£¥,\s]/g, '');
+    // Crossing alerts remember which side of the average price the last price was on. Only a
+    // change of side is saved, so live price ticks don't rewrite the alerts in every tab.
+    const side = getAvgPriceSide(price, holding?.avgPrice);
+    if (alert.type === 'crossAvgPrice' && side !== null && alert.lastSide !== side) {
+      alert.lastSide = side;
+      changed = true;
+    }
+  }
 
-  // Handle K/M/B suffixes
-  const multipliers = { K: 1000, M: 1000000, B: 1000000000 };
-  const suffix = clean.slice(-1).toUpperCase();
+  if (changed) {
+    await chrome.storage.local.set({ priceAlerts });
+  }
+  return priceAlerts.filter(alert => holdingKeys.includes(alert.holdingKey));
+}
 
-  if (multipliers[suffix]) {
-    clean = clean.slice(0, -1);
-    return parseFloat(clean) * multipliers[suffix];
+// Check whether an alert's condition holds for a price
+function isAlertTriggered(alert, price, avgPrice) {
+  const plPercent = avgPrice ? ((price - avgPrice) / avgPrice) * 100 : null;
+
+  if (alert.type === 'priceAbove') return price >= alert.level;
+  if (alert.type === 'priceBelow') return price <= alert.level;
+  if (alert.type === 'plAbove') return plPercent !== null && plPercent >= alert.level;
+  if (alert.type === 'plBelow') return plPercent !== null && plPercent <= alert.level;
+  if (alert.type === 'crossAvgPrice') {
+    if (!avgPrice || alert.lastSide === undefined || alert.lastSide === null) return false;
+    return alert.lastSide !== getAvgPriceSide(price, avgPrice);
   }
+  return false;
+}
 
-  return parseFloat(clean) || 0;
+// Side of the average price a price is on: 1 above, -1 below, 0 at it (null without an average price)
+function getAvgPriceSide(price, avgPrice) {
+  return avgPrice ? Math.sign(price - avgPrice) : null;
+}
+
+// Show a desktop notification for a triggered alert
+function notifyAlert(alert, holding) {
+  if (!chrome.notifications) return; // Guard for missing notifications API
+
+  const conditions = {
+    priceAbove: `Price rose above ${alert.level}`,
+    priceBelow: `Price fell below ${alert.level}`,
+    plAbove: `P/L rose above ${alert.level}%`,
+    plBelow: `P/L fell below ${alert.level}%`,
+    crossAvgPrice: `Price crossed your avg. buy price${holding ? ` (${holding.avgPrice.toFixed(2)})` : ''}`
+  };
+
+  chrome.notifications.create(`priceAlert-${alert.id}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('publishing/icons/icon128.png'),
+    title: `${alert.holdingKey} alert`,
+    message: `${conditions[alert.type]} - now ${alert.triggeredPrice.toFixed(2)}`
+  });
 }
@@ -1,5 +1,5 @@
 // Portfolio Overlay Content Script - Orchestration
-// Dependencies: panel-state.js, panel-ui.js (loaded before this file)
+// Dependencies: format.js, panel-state.js, panel-ui.js, list-chips.js, theme.js (loaded before this file)
 
 let currentSymbol = null;
 let isInitialized = false;
@@ -12,6 +12,16 @@ async function init() {
 
   const isMonitored = settings.monitoredPaths.some(path => pathname.startsWith(path));
 
+  setupTheme(settings.theme);
+  setDisplayFormat(settings);
+
+  // Chips mark held instruments in tables on any page, monitored or not
+  if (settings.showListChips !== false) {
+    setupListChips();
+  } else {
+    removeListChips();
+  }
+
   // Remove existing panel if navigating away from monitored page or to different stock
   removeExistingPanel();
 
@@ -41,19 +51,27 @@ async function init() {
       symbol: assetInfo.symbol,
       exchange: assetInfo.exchange,
       isin: assetInfo.isin,
-      pairId: assetInfo.pairId
+      pairId: assetInfo.pairId,
+      url: window.location.pathname
     });
 
     if (response.error) {
+      console.warn('Portfolio Overlay: failed to load holdings:', response.error);
       return;
     }
 
     if (response.match) {
-      injectHoldingsPanel(response.match, assetInfo);
+      injectHoldingsPanel(response, assetInfo, settings, await getPanelLayout());
+      setupPanelControls();
       setupPriceObserver();
+      setupAlertControls();
+      await loadAlerts();
+    } else if (response.watchlist) {
+      injectWatchlistBadge(response.watchlist);
     }
   } catch (err) {
-    // Silently handle errors
+    // Extension may have been reloaded - sync failures themselves are in the popup's sync history
+    console.warn('Portfolio Overlay: failed to load holdings:', err.message);
   }
 }
 
@@ -63,12 +81,27 @@ async function getSettings() {
     chrome.storage.local.get(['settings'], data => {
       resolve(data.settings || {
         cacheDurationMinutes: 10,
-        monitoredPaths: ['/equities/', '/etfs/']
+        monitoredPaths: ['/equities/', '/etfs/', '/funds/', '/rates-bonds/', '/crypto/', '/commodities/', '/indices/', '/currencies/']
       });
     });
   });
 }
 
+// Helper: Get the panel's saved collapsed/floating state and position
+async function getPanelLayout() {
+  const data = await chrome.storage.local.get(['panelLayout']);
+  return data.panelLayout || null;
+}
+
+// Save the panel's collapsed/floating state and position
+async function savePanelLayout() {
+  try {
+    await chrome.storage.local.set({ panelLayout: panelState.layout });
+  } catch (err) {
+    // Extension may have been reloaded - ignore
+  }
+}
+
 // Extract asset information from the page
 function extractAssetInfo() {
   // Try to get data from global-translation-variables meta tag
@@ -91,7 +124,8 @@ function extractAssetInfo() {
         isin: data.ISIN || null,
         fullName: data.FULL_NAME || data.SHORT_NAME || null,
         lastPrice: data.LAST_PRICE || null,
-        pairId: null
+        pairId: null,
+        assetType: getAssetType(window.location.pathname)
       };
     } catch (err) {
       // Ignore parse errors
@@ -110,7 +144,8 @@ function extractAssetInfo() {
           isin: null,
           fullName: data.legalname || null,
           lastPrice: null,
-          pairId: null
+          pairId: null,
+          assetType: getAssetType(window.location.pathname)
         };
       }
     } catch (err) {
@@ -129,7 +164,7 @@ function setupPriceObserver() {
     priceObserver = null;
   }
 
-  const priceElement = document.querySelector('[data-test="instrument-price-last"]');
+  const priceElement = findPriceElement(panelState.assetType);
   if (!priceElement) {
     console.log('[Portfolio Overlay] Price element not found');
     return;
@@ -142,6 +177,7 @@ function setupPriceObserver() {
         if (newPrice && newPrice !== panelState.currentPrice) {
           panelState.setCurrentPrice(newPrice);
           updatePanelUI();
+          checkAlerts(newPrice);
         }
       }
     }
@@ -155,6 +191,137 @@ function setupPriceObserver() {
   });
 }
 
+// Load this holding's alerts and check them against the current price
+async function loadAlerts() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_ALERTS', holdingKey: panelState.holdingKey });
+  if (response.error) return;
+  panelState.setAlerts(response.alerts);
+  renderAlerts();
+  if (panelState.currentPrice) {
+    await checkAlerts(panelState.currentPrice);
+  }
+}
+
+// Send a live price to the background, which evaluates alerts and notifies
+async function checkAlerts(price) {
+  if (!panelState.hasActiveAlerts) return;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'PRICE_UPDATE',
+      prices: { [panelState.holdingKey]: price }
+    });
+    if (response.alerts) {
+      panelState.setAlerts(response.alerts);
+      renderAlerts();
+    }
+  } catch (err) {
+    // Extension may have been reloaded - ignore
+  }
+}
+
+// Wire up the panel's add/delete alert controls
+function setupAlertControls() {
+  const form = document.getElementById('panel-alert-form');
+  const listEl = document.getElementById('panel-alerts-list');
+  if (!form || !listEl) return;
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const alertType = form.elements.alertType.value;
+    const level = parseFloat(form.elements.level.value);
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'ADD_ALERT',
+        holdingKey: panelState.holdingKey,
+        alertType,
+        level
+      });
+      if (response.error) {
+        showAlertError(response.error);
+        return;
+      }
+      showAlertError(null);
+      form.elements.level.value = '';
+      panelState.setAlerts(response.alerts);
+      renderAlerts();
+    } catch (err) {
+      showAlertError('Could not save the alert. Reload the page and try again.');
+      return;
+    }
+    await checkAlerts(panelState.currentPrice);
+  });
+
+  // Level is not used when alerting on crossing the average price
+  form.elements.alertType.addEventListener('change', () => {
+    form.elements.level.hidden = form.elements.alertType.value === 'crossAvgPrice';
+  });
+
+  listEl.addEventListener('click', async (event) => {
+    const button = event.target.closest('button[data-alert-id]');
+    if (!button) return;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'DELETE_ALERT', id: button.dataset.alertId });
+      if (response.error) {
+        showAlertError(response.error);
+        return;
+      }
+      showAlertError(null);
+      panelState.setAlerts(response.alerts);
+      renderAlerts();
+    } catch (err) {
+      showAlertError('Could not delete the alert. Reload the page and try again.');
+    }
+  });
+}
+
+// Show an error below the alert form, or hide it when message is null
+function showAlertError(message) {
+  const errorEl = document.getElementById('panel-alert-error');
+  if (!errorEl) return;
+  errorEl.textContent = message || '';
+  errorEl.hidden = !message;
+}
+
+// Wire up the panel's collapse and pop-out buttons, and dragging the floating panel by its header
+function setupPanelControls() {
+  const panel = document.getElementById('portfolio-overlay-panel');
+  const header = panel && panel.querySelector('.portfolio-overlay-header');
+  if (!header) return;
+
+  header.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-panel-action]');
+    if (!button) return;
+    if (button.dataset.panelAction === 'collapse') {
+      panelState.setCollapsed(!panelState.collapsed);
+      updatePanelLayout(panel);
+    } else {
+      panelState.setFloating(!panelState.floating);
+      updatePanelLayout(panel);
+      placePanel(panel);
+    }
+    savePanelLayout();
+  });
+
+  header.addEventListener('mousedown', (event) => {
+    if (!panelState.floating || event.button !== 0 || event.target.closest('button')) return;
+    event.preventDefault();
+    const offsetX = event.clientX - panel.offsetLeft;
+    const offsetY = event.clientY - panel.offsetTop;
+
+    const onMouseMove = (moveEvent) => {
+      movePanel(panel, moveEvent.clientX - offsetX, moveEvent.clientY - offsetY);
+    };
+    const onMouseUp = () => {
+      document.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+      panelState.setPosition({ left: panel.offsetLeft, top: panel.offsetTop });
+      savePanelLayout();
+    };
+    document.addEventListener('mousemove', onMouseMove);
+    document.addEventListener('mouseup', onMouseUp);
+  });
+}
+
 // Listen for URL changes (client-side navigation)
 function setupNavigationListener() {
   // Watch for URL changes using History API
@@ -213,4 +380,11 @@ if (!isInitialized) {
   isInitialized = true;
   setupNavigationListener();
   init();
+
+  // Chips show cached holdings, so redraw them when a sync or manual holdings change those
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.lastSync || changes.manualHoldings)) {
+      refreshListChips();
+    }
+  });
 }
@@ -0,0 +1,298 @@
+// CSV Import - reads broker transaction exports and rebuilds positions and tax lots from them
+// Dependencies: format.js (loaded before this file)
+
+// Transaction fields the columns of an export are mapped to
+const IMPORT_FIELDS = ['date', 'symbol', 'side', 'qty', 'price', 'fees', 'currency'];
+
+// Fields every mapping needs; without a side column the sign of the quantity tells buys from sells
+const REQUIRED_IMPORT_FIELDS = ['date', 'symbol', 'qty', 'price'];
+
+// Column layouts of common broker exports: the header names tried for each field, the number
+// format and date order the broker writes, and the currency when the export has no column for it
+const BROKER_PRESETS = {
+  generic: {
+    name: 'Generic',
+    columns: {
+      date: ['date', 'trade date'],
+      symbol: ['symbol', 'ticker'],
+      side: ['side', 'action', 'type', 'buy/sell'],
+      qty: ['qty', 'quantity', 'shares'],
+      price: ['price', 'unit price'],
+      fees: ['fees', 'fee', 'commission'],
+      currency: ['currency']
+    },
+    locale: 'en-US',
+    dateOrder: 'mdy'
+  },
+  ibkr: {
+    name: 'Interactive Brokers',
+    columns: {
+      date: ['Date/Time', 'TradeDate'],
+      symbol: ['Symbol'],
+      side: ['Buy/Sell'],
+      qty: ['Quantity'],
+      price: ['T. Price', 'TradePrice'],
+      fees: ['Comm/Fee', 'IBCommission'],
+      currency: ['Currency', 'CurrencyPrimary']
+    },
+    locale: 'en-US',
+    dateOrder: 'ymd'
+  },
+  schwab: {
+    name: 'Charles Schwab',
+    columns: {
+      date: ['Date'],
+      symbol: ['Symbol'],
+      side: ['Action'],
+      qty: ['Quantity'],
+      price: ['Price'],
+      fees: ['Fees & Comm'],
+      currency: []
+    },
+    locale: 'en-US',
+    dateOrder: 'mdy',
+    currency: 'USD'
+  },
+  trading212: {
+    name: 'Trading 212',
+    columns: {
+      date: ['Time'],
+      symbol: ['Ticker'],
+      side: ['Action'],
+      qty: ['No. of shares'],
+      price: ['Price / share'],
+      fees: ['Currency conversion fee'],
+      currency: ['Currency (Price / share)']
+    },
+    locale: 'en-US',
+    dateOrder: 'ymd'
+  }
+};
+
+// Split CSV text into a header row and data rows. The delimiter (comma, semicolon or tab)
+// is taken from the header line; quoted values may contain delimiters, quotes and newlines.
+function parseCsv(text) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const records = [];
+  let record = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(value);
+      records.push(record);
+      record = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value || record.length > 0) {
+    record.push(value);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(cell => cell.trim()));
+  return {
+    delimiter,
+    headers: (nonEmpty[0] || []).map(header => header.trim()),
+    rows: nonEmpty.slice(1)
+  };
+}
+
+// Map each import field to the index of the first header the preset names for it (-1 when absent)
+function guessMapping(headers, preset) {
+  const normalized = headers.map(header => header.toLowerCase());
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const names = (preset.columns[field] || []).map(name => name.toLowerCase());
+    const exact = names.map(name => normalized.indexOf(name)).find(index => index !== -1);
+    const prefix = names.map(name => normalized.findIndex(header => header.startsWith(name))).find(index => index !== -1);
+    mapping[field] = exact ?? prefix ?? -1;
+  }
+  return mapping;
+}
+
+// Pick the preset whose column names match the most headers. Generic is tried first, so a
+// broker preset that fits as well wins (it also knows the broker's number and date format).
+function detectPreset(headers) {
+  let best = 'generic';
+  let bestCount = 0;
+  for (const [id, preset] of Object.entries(BROKER_PRESETS)) {
+    const mapping = guessMapping(headers, preset);
+    const count = IMPORT_FIELDS.filter(field => mapping[field] !== -1).length;
+    if (count > 0 && count >= bestCount) {
+      best = id;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// Whether a transaction buys or sells, from the side or action column (null for dividends, deposits, ...)
+function parseSide(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (/^s$|\b(sell|sold|sale)\b|verkauf/.test(text)) return 'sell';
+  if (/^b$|\b(buy|bought|purchase|reinvest)\b|kauf/.test(text)) return 'buy';
+  return null;
+}
+
+// Read a trade date as YYYY-MM-DD. Day-first and month-first dates are told apart by the
+// preset's dateOrder unless one part is over 12. Returns null when there is no date.
+function parseTradeDate(value, dateOrder) {
+  const text = String(value || '').trim();
+  const isoMatch = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  let year;
+  let month;
+  let day;
+  if (isoMatch) {
+    [, year, month, day] = isoMatch.map(Number);
+  } else {
+    const match = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})/);
+    if (!match) return null;
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    const dayFirst = first > 12 || (second <= 12 && dateOrder === 'dmy');
+    [day, month] = dayFirst ? [first, second] : [second, first];
+    year = Number(match[3]) < 100 ? 2000 + Number(match[3]) : Number(match[3]);
+  }
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Date order of a file's dates: a first part over 12 can only be a day, a second part over 12
+// only a day in month-first dates; otherwise the fallback (usually the preset's) is kept
+function guessDateOrder(values, fallback) {
+  for (const value of values) {
+    const match = String(value || '').trim().match(/^(\d{1,2})[./-](\d{1,2})[./-]\d{2,4}/);
+    if (!match) continue;
+    if (Number(match[1]) > 12) return 'dmy';
+    if (Number(match[2]) > 12) return 'mdy';
+  }
+  return fallback;
+}
+
+// Turn mapped CSV rows into buy and sell transactions. Rows that aren't trades or can't be
+// read are returned in skipped with their line number (the header is line 1).
+function readTransactions(rows, mapping, preset, defaultCurrency) {
+  const transactions = [];
+  const skipped = [];
+  const cell = (row, field) => (mapping[field] >= 0 ? String(row[mapping[field]] ?? '').trim() : '');
+
+  rows.forEach((row, index) => {
+    const line = index + 2;
+    const symbol = cell(row, 'symbol');
+    const signedQty = parseLocalizedNumber(cell(row, 'qty'), preset.locale);
+    const price = parseLocalizedNumber(cell(row, 'price'), preset.locale);
+    const date = parseTradeDate(cell(row, 'date'), preset.dateOrder);
+    const side = mapping.side >= 0 ? parseSide(cell(row, 'side')) : (signedQty < 0 ? 'sell' : 'buy');
+
+    let reason = null;
+    if (!symbol) reason = 'no symbol';
+    else if (!side) reason = `not a buy or sell (${cell(row, 'side') || 'no side'})`;
+    else if (!signedQty) reason = 'no quantity';
+    else if (price === null || price < 0) reason = 'no price';
+    else if (!date) reason = 'no date';
+    if (reason) {
+      skipped.push({ line, symbol, reason });
+      return;
+    }
+
+    transactions.push({
+      line,
+      date,
+      symbol: symbol.toUpperCase(),
+      side,
+      qty: Math.abs(signedQty),
+      price,
+      fees: Math.abs(parseLocalizedNumber(cell(row, 'fees'), preset.locale) || 0),
+      currency: cell(row, 'currency') || preset.currency || defaultCurrency
+    });
+  });
+
+  return { transactions, skipped };
+}
+
+// Replay transactions oldest first into open positions, matching sells against the oldest
+// lots (FIFO). Fully sold positions are left out; selling more than was bought is a problem.
+function buildPositions(transactions) {
+  const books = {};
+  const problems = [];
+  const ordered = [...transactions].sort((a, b) => a.date.localeCompare(b.date) || a.line - b.line);
+
+  for (const transaction of ordered) {
+    const key = `${transaction.symbol}|${transaction.currency}`;
+    const book = books[key] || (books[key] = { symbol: transaction.symbol, currency: transaction.currency, lots: [] });
+
+    if (transaction.side === 'buy') {
+      book.lots.push({
+        openTime: transaction.date,
+        qty: transaction.qty,
+        openPrice: transaction.price,
+        commission: transaction.fees
+      });
+      continue;
+    }
+
+    let remaining = transaction.qty;
+    while (remaining > 1e-9 && book.lots.length > 0) {
+      const lot = book.lots[0];
+      const sold = Math.min(lot.qty, remaining);
+      lot.commission = lot.commission * (lot.qty - sold) / lot.qty;
+      lot.qty -= sold;
+      remaining -= sold;
+      if (lot.qty <= 1e-9) book.lots.shift();
+    }
+    if (remaining > 1e-9) {
+      problems.push({
+        symbol: transaction.symbol,
+        message: `Line ${transaction.line}: sells ${formatQuantity(remaining)} more than was bought before ${transaction.date} (is the export missing earlier trades?)`
+      });
+    }
+  }
+
+  const positions = Object.values(books)
+    .filter(book => book.lots.length > 0)
+    .map(book => {
+      const qty = book.lots.reduce((sum, lot) => sum + lot.qty, 0);
+      const cost = book.lots.reduce((sum, lot) => sum + lot.qty * lot.openPrice, 0);
+      return { symbol: book.symbol, currency: book.currency, qty, avgPrice: cost / qty, lots: book.lots };
+    })
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+  return { positions, problems };
+}
+
+// Find the investing.com instrument an imported symbol is, among holdings synced from
+// investing.com. Broker suffixes like "SAP.DE" are tried without the suffix; a holding in
+// the position's currency is preferred. Returns { symbol, exchange } or null when unmatched.
+function findKnownInstrument(symbol, currency, portfolioData) {
+  const candidates = [symbol.toUpperCase(), symbol.toUpperCase().replace(/[.:][A-Z]{1,4}$/, '')];
+  const synced = Object.values(portfolioData).filter(holding =>
+    (holding.portfolios || []).some(p => !p.manual) && candidates.includes(String(holding.symbol).toUpperCase()));
+  if (synced.length === 0) return null;
+
+  const sameCurrency = synced.find(holding => getCurrencyCode(holding.currency) === getCurrencyCode(currency));
+  const match = sameCurrency || synced[0];
+  return { symbol: match.symbol, exchange: match.exchange || '' };
+}
@@ -0,0 +1,225 @@
+// Dashboard Script
+document.addEventListener('DOMContentLoaded', async () => {
+  // Elements
+  const lastSyncEl = document.getElementById('lastSync');
+  const holdingsCountEl = document.getElementById('holdingsCount');
+  const totalValueEl = document.getElementById('totalValue');
+  const valueBaseHeader = document.getElementById('valueBaseHeader');
+  const filterInput = document.getElementById('filterInput');
+  const holdingsBody = document.getElementById('holdingsBody');
+  const emptyMessage = document.getElementById('emptyMessage');
+  const sortHeaders = document.querySelectorAll('th[data-sort]');
+  const historySeriesSelect = document.getElementById('historySeries');
+  const historyChart = document.getElementById('historyChart');
+  const historyEmpty = document.getElementById('historyEmpty');
+  const changesBody = document.getElementById('changesBody');
+  const changesEmpty = document.getElementById('changesEmpty');
+
+  let rows = [];
+  let sortKey = 'weight';
+  let sortAscending = false;
+  let history = [];
+  let baseCurrency = 'USD';
+  // Asset page links open on the investing.com edition the portfolios are synced from
+  let investingOrigin = getInvestingOrigin('www');
+
+  await loadHoldings();
+  await loadHistory();
+  await loadChangeLog();
+
+  // Redraw the chart for the chosen series
+  historySeriesSelect.addEventListener('change', renderHistory);
+
+  // Filter as the user types
+  filterInput.addEventListener('input', render);
+
+  // Sort by clicked column, toggling direction on repeated clicks
+  sortHeaders.forEach(header => {
+    header.addEventListener('click', () => {
+      const key = header.dataset.sort;
+      if (key === sortKey) {
+        sortAscending = !sortAscending;
+      } else {
+        sortKey = key;
+        sortAscending = ['symbol', 'exchange', 'name'].includes(key);
+      }
+      render();
+    });
+  });
+
+  // Load holdings from background (same cache the on-page panel uses)
+  async function loadHoldings() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_ALL_HOLDINGS' });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      lastSyncEl.textContent = response.lastSync ? new Date(response.lastSync).toLocaleString(displayFormat.locale) : 'Never';
+      baseCurrency = response.baseCurrency;
+      investingOrigin = getInvestingOrigin(response.edition);
+      setDisplayFormat(response.displaySettings);
+      rows = buildRows(response.portfolioData || {}, response.fxRates || {});
+      holdingsCountEl.textContent = rows.length;
+      valueBaseHeader.textContent = `Value (${baseCurrency})`;
+      const convertible = rows.filter(row => row.valueBase !== null);
+      totalValueEl.textContent = formatCurrency(convertible.reduce((sum, row) => sum + row.valueBase, 0), baseCurrency);
+      if (convertible.length < rows.length) {
+        totalValueEl.textContent += ` (${rows.length - convertible.length} without FX rate)`;
+      }
+      // Holdings in a currency the extension doesn't know are reported rather than counted as USD
+      const unknownCurrencies = [...new Set(rows.filter(row => !getCurrencyCode(row.currency)).map(row => decodeHtmlEntities(row.currency)))];
+      if (unknownCurrencies.length > 0) {
+        totalValueEl.textContent += ` \u00b7 unknown currency: ${unknownCurrencies.join(', ')}`;
+      }
+      render();
+    } catch (err) {
+      console.error('Failed to load holdings:', err);
+      lastSyncEl.textContent = 'Error';
+    }
+  }
+
+  // Load daily value snapshots and populate the per-holding series picker
+  async function loadHistory() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY' });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      history = response.history || [];
+      historySeriesSelect.options[0].textContent = `Total portfolio value (${baseCurrency})`;
+
+      const holdingKeys = [...new Set(history.flatMap(snapshot => Object.keys(snapshot.holdings)))].sort();
+      for (const key of holdingKeys) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = key;
+        historySeriesSelect.appendChild(option);
+      }
+      renderHistory();
+    } catch (err) {
+      console.error('Failed to load history:', err);
+    }
+  }
+
+  // Chart total value, or one holding's value when selected
+  function renderHistory() {
+    const key = historySeriesSelect.value;
+    const points = history
+      .filter(snapshot => !key || snapshot.holdings[key] !== undefined)
+      .map(snapshot => ({
+        label: snapshot.date,
+        value: key ? snapshot.holdings[key] : snapshot.totalValue
+      }));
+
+    historyEmpty.hidden = points.length > 0;
+    historyChart.hidden = points.length === 0;
+    drawLineChart(historyChart, points, key ? value => formatNumber(value) : value => formatCurrency(value, baseCurrency));
+  }
+
+  // Load the log of holdings changes detected between syncs
+  async function loadChangeLog() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CHANGE_LOG' });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      const changeLog = response.changeLog || [];
+      const formatChange = (oldValue, newValue, format) => {
+        if (oldValue === undefined) return format(newValue);
+        if (newValue === undefined) return format(oldValue);
+        return oldValue === newValue ? format(newValue) : `${format(oldValue)} \u2192 ${format(newValue)}`;
+      };
+
+      changesBody.innerHTML = changeLog.map(change => `
+        <tr>
+          <td>${new Date(change.timestamp).toLocaleString(displayFormat.locale)}</td>
+          <td class="${change.type === 'closed' ? 'negative' : (change.type === 'opened' ? 'positive' : '')}">${escapeHtml(change.type)}</td>
+          <td class="symbol">${escapeHtml(change.symbol)}</td>
+          <td>${escapeHtml(change.exchange)}</td>
+          <td class="numeric">${formatChange(change.oldQty, change.newQty, formatQuantity)}</td>
+          <td class="numeric">${formatChange(change.oldAvgPrice, change.newAvgPrice, v => formatNumber(v, displayFormat.decimals, displayFormat.decimals))}</td>
+          <td>${change.failedPortfolios?.length ? `Failed to load: ${escapeHtml(change.failedPortfolios.join(', '))}` : ''}</td>
+        </tr>
+      `).join('');
+      changesEmpty.hidden = changeLog.length > 0;
+    } catch (err) {
+      console.error('Failed to load change log:', err);
+    }
+  }
+
+  // Flatten cached holdings into table rows with derived P/L and weight
+  function buildRows(portfolioData, fxRates) {
+    const holdings = Object.values(portfolioData);
+    // Weights are computed from base currency values
+    const valuesBase = holdings.map(h => convertToBase(h.totalValue || null, h.currency || '$', baseCurrency, fxRates));
+    const portfolioTotal = valuesBase.reduce((sum, value) => sum + (value || 0), 0);
+
+    return holdings.map((h, index) => {
+      const assetType = h.assetType || getAssetType(h.url);
+      const cost = h.avgPrice * h.qty * getPriceScale(assetType);
+      const pl = h.totalValue ? h.totalValue - cost : null;
+      const valueBase = valuesBase[index];
+      return {
+        symbol: h.symbol,
+        exchange: h.exchange || '',
+        name: h.fullName || h.name || '',
+        qty: h.qty,
+        avgPrice: h.avgPrice,
+        assetType,
+        value: h.totalValue || null,
+        valueBase,
+        pl,
+        plPercent: pl !== null && cost ? (pl / cost) * 100 : null,
+        weight: portfolioTotal && valueBase !== null ? (valueBase / portfolioTotal) * 100 : null,
+        currency: h.currency || '$',
+        url: h.url
+      };
+    });
+  }
+
+  // Render filtered and sorted rows
+  function render() {
+    const filter = filterInput.value.trim().toLowerCase();
+    const visible = rows
+      .filter(row => !filter || [row.symbol, row.exchange, row.name].some(v => v.toLowerCase().includes(filter)))
+      .sort(compareRows);
+
+    holdingsBody.innerHTML = visible.map(row => {
+      const plClass = row.pl === null ? '' : (row.pl >= 0 ? 'positive' : 'negative');
+      const link = row.url
+        ? `<a href="${investingOrigin}${escapeHtml(row.url)}" target="_blank">View</a>`
+        : '';
+      return `
+        <tr>
+          <td class="symbol">${escapeHtml(row.symbol)}</td>
+          <td>${escapeHtml(row.exchange)}</td>
+          <td>${escapeHtml(row.name)}</td>
+          <td class="numeric">${formatQuantity(row.qty)}</td>
+          <td class="numeric">${formatUnitPrice(row.avgPrice, row.currency, row.assetType)}</td>
+          <td class="numeric">${formatCurrency(row.value, row.currency)}</td>
+          <td class="numeric">${formatCurrency(row.valueBase, baseCurrency)}</td>
+          <td class="numeric ${plClass}">${row.pl !== null && row.plPercent !== null ? formatPl(row.pl, row.plPercent, row.currency) : '-'}</td>
+          <td class="numeric">${row.weight !== null ? formatPercent(row.weight) : '-'}</td>
+          <td>${link}</td>
+        </tr>
+      `;
+    }).join('');
+
+    emptyMessage.hidden = visible.length > 0;
+
+    sortHeaders.forEach(header => {
+      header.classList.toggle('sorted-asc', header.dataset.sort === sortKey && sortAscending);
+      header.classList.toggle('sorted-desc', header.dataset.sort === sortKey && !sortAscending);
+    });
+  }
+
+  // Compare rows by the active sort column (empty values always last)
+  function compareRows(a, b) {
+    const va = a[sortKey];
+    const vb = b[sortKey];
+    if (va === null || va === undefined) return 1;
+    if (vb === null || vb === undefined) return -1;
+    const result = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+    return sortAscending ? result : -result;
+  }
+});
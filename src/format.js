@@ -0,0 +1,241 @@
+// Formatting Helpers - shared by the content scripts and extension pages
+
+// Decode HTML entities (investing.com pages and older storage have encoded names and currency symbols)
+function decodeHtmlEntities(str) {
+  if (!str) return str;
+  const entities = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&apos;': "'",
+    '&#x20ac;': '\u20ac',
+    '&euro;': '\u20ac',
+    '&#x24;': '$',
+    '&#36;': '$',
+    '&#x00a3;': '\u00a3',
+    '&pound;': '\u00a3',
+    '&#x00a5;': '\u00a5',
+    '&yen;': '\u00a5',
+    '&#x20a3;': '\u20a3',
+    '&#x20b9;': '\u20b9',
+    '&#x20aa;': '\u20aa'
+  };
+  let result = str;
+  for (const [entity, char] of Object.entries(entities)) {
+    result = result.replace(new RegExp(entity, 'gi'), char);
+  }
+  // Handle remaining numeric entities
+  result = result.replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  result = result.replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)));
+  return result;
+}
+
+// How numbers and currencies are displayed; set from the user's settings by setDisplayFormat
+const displayFormat = {
+  locale: 'en-US',
+  decimals: 2,
+  currencyDisplay: 'symbol'
+};
+
+// Fields the holdings panel can show, in the order shown when settings don't choose any
+const PANEL_FIELDS = ['qty', 'avgPrice', 'totalValue', 'pl', 'dayChange', 'weight'];
+
+// Apply the numberLocale, priceDecimals and currencyDisplay settings to everything formatted on this page
+function setDisplayFormat(settings) {
+  const { numberLocale, priceDecimals, currencyDisplay } = settings || {};
+  // Auto follows the browser's language
+  displayFormat.locale = (numberLocale === 'auto' ? navigator.language : numberLocale) || 'en-US';
+  displayFormat.decimals = Number.isInteger(priceDecimals) && priceDecimals >= 0 && priceDecimals <= 8 ? priceDecimals : 2;
+  displayFormat.currencyDisplay = currencyDisplay === 'code' ? 'code' : 'symbol';
+}
+
+// Map currency symbols to ISO codes (null for a currency that isn't known); no symbol means dollars
+function getCurrencyCode(symbol) {
+  // Decode HTML entities first
+  const decoded = decodeHtmlEntities(symbol || '$');
+  const currencyMap = {
+    '$': 'USD',
+    'C$': 'CAD',
+    '\u20ac': 'EUR',
+    '\u00a3': 'GBP',
+    '\u00a5': 'JPY',
+    'CHF': 'CHF',
+    'A$': 'AUD',
+    'NZ$': 'NZD',
+    'HK$': 'HKD',
+    'S$': 'SGD',
+    '\u20b9': 'INR',
+    '\u20aa': 'ILS',
+    'kr': 'SEK',
+    'z\u0142': 'PLN',
+    'R$': 'BRL',
+    '\u20a9': 'KRW'
+  };
+  if (currencyMap[decoded]) return currencyMap[decoded];
+  // Already an ISO code (e.g. the configured base currency)
+  return /^[A-Z]{3}$/.test(decoded) ? decoded : null;
+}
+
+// Convert a value to the base currency using FX rates ({ EUR: { rate }, ... }), or null when
+// the value is missing or no rate is known
+function convertToBase(value, currencySymbol, baseCurrency, fxRates) {
+  if (value === null) return null;
+  const currency = getCurrencyCode(currencySymbol);
+  if (currency === baseCurrency) return value;
+  const fxRate = fxRates[currency];
+  return fxRate ? value * fxRate.rate : null;
+}
+
+// Origin of an investing.com edition, e.g. https://de.investing.com for 'de'
+function getInvestingOrigin(edition) {
+  return `https://${/^[a-z]{2,3}$/.test(edition || '') ? edition : 'www'}.investing.com`;
+}
+
+// Escape text before interpolating it into HTML
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Format number as currency. A currency that isn't known keeps its symbol as investing.com shows it.
+function formatCurrency(value, currencySymbol = '$', fractionDigits = {}) {
+  if (value === null || value === undefined || isNaN(value)) {
+    return '-';
+  }
+  const minimumFractionDigits = fractionDigits.minimum ?? displayFormat.decimals;
+  const maximumFractionDigits = Math.max(fractionDigits.maximum ?? displayFormat.decimals, minimumFractionDigits);
+  const currencyCode = getCurrencyCode(currencySymbol);
+  if (!currencyCode) {
+    return `${formatNumber(value, minimumFractionDigits, maximumFractionDigits)} ${decodeHtmlEntities(currencySymbol)}`;
+  }
+  return new Intl.NumberFormat(displayFormat.locale, {
+    style: 'currency',
+    currency: currencyCode,
+    currencyDisplay: displayFormat.currencyDisplay,
+    minimumFractionDigits,
+    maximumFractionDigits
+  }).format(value);
+}
+
+// Format a plain number in the display locale
+function formatNumber(value, minimumFractionDigits = 0, maximumFractionDigits = 2) {
+  return new Intl.NumberFormat(displayFormat.locale, { minimumFractionDigits, maximumFractionDigits }).format(value);
+}
+
+// Format a percentage, e.g. "4.20%" or with sign "+4.20%"
+function formatPercent(value, signed = false) {
+  const sign = signed && value >= 0 ? '+' : '';
+  return `${sign}${formatNumber(value, 2, 2)}%`;
+}
+
+// Format P/L amount and percentage, e.g. "+$120.00 (+4.20%)"
+function formatPl(pl, plPercent, currencySymbol) {
+  const plSign = pl >= 0 ? '+' : '';
+  return `${plSign}${formatCurrency(pl, currencySymbol)} (${formatPercent(plPercent, pl >= 0)})`;
+}
+
+// Instrument type of an asset page path, e.g. 'crypto' for /crypto/bitcoin ('' when not an asset page)
+function getAssetType(path) {
+  const assetPathTypes = {
+    equities: 'stock',
+    etfs: 'etf',
+    funds: 'fund',
+    'rates-bonds': 'bond',
+    crypto: 'crypto',
+    commodities: 'commodity',
+    indices: 'index',
+    currencies: 'currency'
+  };
+  const match = (path || '').match(/^\/([^/]+)\/[^/]+/);
+  return (match && assetPathTypes[match[1]]) || '';
+}
+
+// Quantity multiplier turning a unit price into a value. Bond prices are a percentage of par.
+function getPriceScale(assetType) {
+  return assetType === 'bond' ? 0.01 : 1;
+}
+
+// Format a unit price: bonds as a percentage of par, small crypto and currency prices with more decimals
+function formatUnitPrice(value, currencySymbol, assetType) {
+  if (value === null || value === undefined || isNaN(value)) {
+    return '-';
+  }
+  if (assetType === 'bond') {
+    return `${formatNumber(value, displayFormat.decimals, displayFormat.decimals)}% of par`;
+  }
+  if ((assetType === 'crypto' || assetType === 'currency') && Math.abs(value) < 1 && value !== 0) {
+    return formatCurrency(value, currencySymbol, { minimum: Math.max(displayFormat.decimals, 4), maximum: 8 });
+  }
+  return formatCurrency(value, currencySymbol);
+}
+
+// Format a quantity, keeping the fractions crypto positions are held in
+function formatQuantity(qty) {
+  return formatNumber(qty || 0, 0, 8);
+}
+
+// Magnitude suffixes used across investing.com editions, longest first so "Mrd" isn't read as "M"
+const NUMBER_SUFFIXES = [
+  ['mrd.', 1e9], ['mrd', 1e9], ['mld', 1e9], ['\u043c\u043b\u0440\u0434', 1e9], ['bn', 1e9], ['md', 1e9], ['b', 1e9],
+  ['mio.', 1e6], ['mio', 1e6], ['mln', 1e6], ['\u043c\u043b\u043d', 1e6], ['m', 1e6],
+  ['tsd.', 1e3], ['tsd', 1e3], ['\u0442\u044b\u0441.', 1e3], ['mil', 1e3], ['k', 1e3]
+];
+
+// Parse a number as an investing.com edition formats it, e.g. "1,234.56", "1.234,56 €",
+// "1'234.5", "-$12.30" or "1,2 Mio.". A lone separator is taken as the locale's decimal separator
+// unless three digits follow a separator that isn't. Returns null when there is no number.
+function parseLocalizedNumber(str, locale = 'en-US') {
+  if (!str) return null;
+  const text = String(str).replace(/[\u00a0\u202f]/g, ' ').replace(/\u2212/g, '-');
+  const match = text.match(/\d[\d.,' ]*/);
+  if (!match) return null;
+  // The sign may come before a currency symbol or code, as in "-$1,234.56" or "- CHF 12"
+  const negative = /-\s*[^\d\s-]{0,4}\s*$/.test(text.slice(0, match.index));
+
+  let digits = match[0].trim().replace(/[' ]/g, '');
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+  let decimalSeparator = null;
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimalSeparator = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const occurrences = digits.split(separator).length - 1;
+    const localeDecimal = getDecimalSeparator(locale);
+    const groupOfThree = /^\d{3}$/.test(digits.slice(digits.lastIndexOf(separator) + 1));
+    if (occurrences === 1 && (separator === localeDecimal || !groupOfThree)) {
+      decimalSeparator = separator;
+    }
+  }
+  if (decimalSeparator) {
+    const groupSeparator = decimalSeparator === ',' ? '.' : ',';
+    digits = digits.split(groupSeparator).join('').replace(decimalSeparator, '.');
+  } else {
+    digits = digits.replace(/[.,]/g, '');
+  }
+
+  const value = parseFloat(digits) * (negative ? -1 : 1);
+  if (isNaN(value)) return null;
+
+  // A suffix counts only when no other letter follows it (so "100 MXN" is not millions)
+  const rest = text.slice(match.index + match[0].length).trimStart().toLowerCase();
+  const suffix = NUMBER_SUFFIXES.find(([name]) => rest.startsWith(name) && !/^[a-z\u0430-\u044f]/.test(rest.slice(name.length)));
+  return suffix ? value * suffix[1] : value;
+}
+
+// Decimal separator of a locale ("." for en-US, "," for de-DE)
+function getDecimalSeparator(locale) {
+  try {
+    const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+    return part ? part.value : '.';
+  } catch (err) {
+    // Unknown locale tag
+    return '.';
+  }
+}
@@ -0,0 +1,77 @@
+// History Chart - minimal canvas line chart for portfolio value history
+
+// Draw a line chart of { label, value } points onto a canvas
+function drawLineChart(canvas, points, formatValue = value => value.toLocaleString()) {
+  const ctx = canvas.getContext('2d');
+  const width = canvas.width;
+  const height = canvas.height;
+  const padding = { top: 16, right: 16, bottom: 28, left: 90 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  ctx.clearRect(0, 0, width, height);
+  if (points.length === 0) return;
+
+  const values = points.map(p => p.value);
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    // Flat series - give it some vertical room
+    min -= Math.abs(min) * 0.05 || 1;
+    max += Math.abs(max) * 0.05 || 1;
+  }
+
+  const xFor = index => padding.left + (points.length === 1 ? plotWidth / 2 : (index / (points.length - 1)) * plotWidth);
+  const yFor = value => padding.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+  // Horizontal grid lines with value labels
+  ctx.font = '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+  ctx.fillStyle = '#8a94a6';
+  ctx.strokeStyle = '#eef0f3';
+  ctx.lineWidth = 1;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  const gridLines = 4;
+  for (let i = 0; i <= gridLines; i++) {
+    const value = min + ((max - min) * i) / gridLines;
+    const y = yFor(value);
+    ctx.beginPath();
+    ctx.moveTo(padding.left, y);
+    ctx.lineTo(width - padding.right, y);
+    ctx.stroke();
+    ctx.fillText(formatValue(value), padding.left - 8, y);
+  }
+
+  // Date labels: first, middle and last point
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  const labelIndexes = [...new Set([0, Math.floor((points.length - 1) / 2), points.length - 1])];
+  for (const index of labelIndexes) {
+    ctx.fillText(points[index].label, xFor(index), height - padding.bottom + 8);
+  }
+
+  // Value line
+  ctx.strokeStyle = '#1256a0';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  points.forEach((point, index) => {
+    const x = xFor(index);
+    const y = yFor(point.value);
+    if (index === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  });
+  ctx.stroke();
+
+  // Point markers when the series is short enough to read them
+  if (points.length <= 60) {
+    ctx.fillStyle = '#1256a0';
+    points.forEach((point, index) => {
+      ctx.beginPath();
+      ctx.arc(xFor(index), yFor(point.value), 3, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+}
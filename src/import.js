@@ -0,0 +1,207 @@
+// Import Script - maps a broker's transaction CSV and saves the rebuilt positions as manual holdings
+document.addEventListener('DOMContentLoaded', async () => {
+  // Elements
+  const fileInput = document.getElementById('fileInput');
+  const presetSelect = document.getElementById('presetSelect');
+  const accountInput = document.getElementById('accountInput');
+  const currencyInput = document.getElementById('currencyInput');
+  const fileSummaryEl = document.getElementById('fileSummary');
+  const mappingSection = document.getElementById('mappingSection');
+  const mappingFieldsEl = document.getElementById('mappingFields');
+  const numberLocaleSelect = document.getElementById('numberLocaleSelect');
+  const dateOrderSelect = document.getElementById('dateOrderSelect');
+  const previewBtn = document.getElementById('previewBtn');
+  const reviewSection = document.getElementById('reviewSection');
+  const positionsBody = document.getElementById('positionsBody');
+  const positionsEmpty = document.getElementById('positionsEmpty');
+  const problemsEl = document.getElementById('importProblems');
+  const replaceInput = document.getElementById('replaceInput');
+  const importBtn = document.getElementById('importBtn');
+  const importResultEl = document.getElementById('importResult');
+
+  // Labels of the transaction fields in the column mapping
+  const FIELD_LABELS = {
+    date: 'Date',
+    symbol: 'Symbol',
+    side: 'Side (buy/sell)',
+    qty: 'Quantity',
+    price: 'Price',
+    fees: 'Fees',
+    currency: 'Currency'
+  };
+
+  let csv = null;
+  let positions = [];
+  // Holdings synced from investing.com, which imported symbols are matched against
+  let portfolioData = {};
+
+  presetSelect.innerHTML = Object.entries(BROKER_PRESETS)
+    .map(([id, preset]) => `<option value="${id}">${escapeHtml(preset.name)}</option>`)
+    .join('');
+
+  await loadHoldings();
+
+  // Read the chosen file and guess its layout
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    csv = parseCsv(await file.text());
+    if (csv.headers.length === 0) {
+      fileSummaryEl.textContent = 'The file is empty.';
+      mappingSection.hidden = true;
+      reviewSection.hidden = true;
+      return;
+    }
+
+    presetSelect.value = detectPreset(csv.headers);
+    if (!accountInput.value.trim()) {
+      accountInput.value = BROKER_PRESETS[presetSelect.value].name;
+    }
+    fileSummaryEl.textContent = `${csv.rows.length} rows, ${csv.headers.length} columns.`;
+    renderMapping();
+    reviewSection.hidden = true;
+  });
+
+  // Switching the layout re-guesses the columns
+  presetSelect.addEventListener('change', () => {
+    if (csv) renderMapping();
+  });
+
+  previewBtn.addEventListener('click', renderPositions);
+
+  importBtn.addEventListener('click', importPositions);
+
+  // Load the synced holdings and the number format from background
+  async function loadHoldings() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_ALL_HOLDINGS' });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      portfolioData = response.portfolioData || {};
+      setDisplayFormat(response.displaySettings);
+    } catch (err) {
+      console.error('Failed to load holdings:', err);
+    }
+  }
+
+  // One column picker per transaction field, preselected from the layout
+  function renderMapping() {
+    const mapping = guessMapping(csv.headers, BROKER_PRESETS[presetSelect.value]);
+    const headerOptions = csv.headers.map((header, index) => `<option value="${index}">${escapeHtml(header)}</option>`).join('');
+
+    mappingFieldsEl.innerHTML = IMPORT_FIELDS.map(field => `
+      <label>${FIELD_LABELS[field]}${REQUIRED_IMPORT_FIELDS.includes(field) ? ' *' : ''}
+        <select data-field="${field}">
+          <option value="-1">(none)</option>
+          ${headerOptions}
+        </select>
+      </label>
+    `).join('');
+    mappingFieldsEl.querySelectorAll('select').forEach(select => {
+      select.value = String(mapping[select.dataset.field]);
+    });
+
+    // The layout's number format, and its date order unless the file's dates show another one
+    const preset = BROKER_PRESETS[presetSelect.value];
+    const dates = mapping.date >= 0 ? csv.rows.map(row => row[mapping.date]) : [];
+    numberLocaleSelect.value = preset.locale;
+    dateOrderSelect.value = guessDateOrder(dates, preset.dateOrder);
+    mappingSection.hidden = false;
+  }
+
+  // The chosen layout with the number format and date order picked on the page
+  function getPreset() {
+    return { ...BROKER_PRESETS[presetSelect.value], locale: numberLocaleSelect.value, dateOrder: dateOrderSelect.value };
+  }
+
+  // Column mapping as chosen by the user
+  function getMapping() {
+    const mapping = {};
+    mappingFieldsEl.querySelectorAll('select').forEach(select => {
+      mapping[select.dataset.field] = parseInt(select.value, 10);
+    });
+    return mapping;
+  }
+
+  // Rebuild positions from the transactions and list them with how they match investing.com
+  function renderPositions() {
+    const mapping = getMapping();
+    const missing = REQUIRED_IMPORT_FIELDS.filter(field => mapping[field] === -1);
+    if (missing.length > 0) {
+      alert(`Choose a column for: ${missing.map(field => FIELD_LABELS[field]).join(', ')}.`);
+      return;
+    }
+
+    const defaultCurrency = currencyInput.value.trim().toUpperCase() || 'USD';
+    const { transactions, skipped } = readTransactions(csv.rows, mapping, getPreset(), defaultCurrency);
+    const built = buildPositions(transactions);
+    positions = built.positions.map(position => ({ ...position, match: findKnownInstrument(position.symbol, position.currency, portfolioData) }));
+
+    positionsBody.innerHTML = positions.map((position, index) => {
+      const match = position.match;
+      const status = match
+        ? `Matches ${escapeHtml(match.exchange ? `${match.symbol} (${match.exchange})` : match.symbol)}`
+        : 'Not found in your investing.com holdings - check the symbol and exchange';
+      return `
+        <tr data-index="${index}" class="${match ? '' : 'import-unmatched'}">
+          <td><input type="checkbox" name="include" checked></td>
+          <td><input type="text" name="symbol" value="${escapeHtml(match ? match.symbol : position.symbol)}"></td>
+          <td><input type="text" name="exchange" value="${escapeHtml(match ? match.exchange : '')}"></td>
+          <td class="numeric">${formatQuantity(position.qty)}</td>
+          <td class="numeric">${formatUnitPrice(position.avgPrice, position.currency)}</td>
+          <td>${escapeHtml(position.currency)}</td>
+          <td class="numeric">${position.lots.length}</td>
+          <td>${status}</td>
+        </tr>
+      `;
+    }).join('');
+    positionsEmpty.hidden = positions.length > 0;
+
+    const notes = [
+      ...built.problems.map(problem => `${problem.symbol}: ${problem.message}`),
+      ...skipped.map(row => `Line ${row.line} skipped${row.symbol ? ` (${row.symbol})` : ''}: ${row.reason}`)
+    ];
+    problemsEl.innerHTML = notes.map(note => `<li>${escapeHtml(note)}</li>`).join('');
+    importResultEl.textContent = `${transactions.length} transactions read, ${positions.length} open positions.`;
+    reviewSection.hidden = false;
+  }
+
+  // Save the checked positions as manual holdings of the account
+  async function importPositions() {
+    const account = accountInput.value.trim();
+    if (!account) {
+      alert('Enter an account name; re-importing into it replaces these holdings.');
+      return;
+    }
+
+    const holdings = [];
+    positionsBody.querySelectorAll('tr').forEach(row => {
+      if (!row.querySelector('input[name="include"]').checked) return;
+      const position = positions[Number(row.dataset.index)];
+      holdings.push({
+        symbol: row.querySelector('input[name="symbol"]').value,
+        exchange: row.querySelector('input[name="exchange"]').value,
+        qty: position.qty,
+        avgPrice: position.avgPrice,
+        currency: position.currency,
+        lots: position.lots
+      });
+    });
+
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'IMPORT_MANUAL_HOLDINGS',
+        holdings,
+        account,
+        replace: replaceInput.checked
+      });
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      importResultEl.textContent = `Imported ${holdings.length} positions into "${account}". They appear on asset pages and in the popup's manual holdings.`;
+    } catch (err) {
+      alert('Failed to import: ' + err.message);
+    }
+  }
+});
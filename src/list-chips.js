@@ -0,0 +1,187 @@
+// Portfolio Overlay List Chips
+// Marks held instruments on list and table pages (screeners, index constituents,
+// top gainers/losers, sector pages) with a small qty and P/L % chip.
+// Dependencies: format.js (loaded before this file)
+
+// Rows get a chip at most once; this attribute marks rows already handled
+const CHIP_ROW_ATTRIBUTE = 'data-portfolio-overlay-chip';
+
+let listChipsObserver = null;
+let listChipsScanTimer = null;
+let holdingsLookup = null;
+
+// Start (or restart after navigation) marking held instruments in tables on this page
+function setupListChips() {
+  if (listChipsObserver) {
+    listChipsObserver.disconnect();
+  }
+  holdingsLookup = null;
+
+  // Tables are filled in and paged client-side, so rescan when their rows change
+  listChipsObserver = new MutationObserver(() => {
+    clearTimeout(listChipsScanTimer);
+    listChipsScanTimer = setTimeout(scanForListChips, 300);
+  });
+  scanForListChips();
+}
+
+// Watch the containers of the page's tables rather than the whole page, whose live prices
+// change constantly. Until the page has a table, the body is watched for one to appear.
+function observeListTables() {
+  if (!listChipsObserver) return;
+  listChipsObserver.disconnect();
+  const containers = new Set(Array.from(document.querySelectorAll('table'))
+    .filter(table => !table.closest('#portfolio-overlay-panel'))
+    .map(table => table.parentElement || table));
+  if (containers.size === 0) {
+    listChipsObserver.observe(document.body, { childList: true, subtree: true });
+    return;
+  }
+  containers.forEach(container => listChipsObserver.observe(container, { childList: true, subtree: true }));
+}
+
+// Redraw the chips from fresh holdings, after a sync or a change to the manual holdings
+function refreshListChips() {
+  if (!listChipsObserver) return;
+  document.querySelectorAll('.portfolio-overlay-chip').forEach(chip => chip.remove());
+  document.querySelectorAll(`[${CHIP_ROW_ATTRIBUTE}]`).forEach(row => row.removeAttribute(CHIP_ROW_ATTRIBUTE));
+  setupListChips();
+}
+
+// Stop watching the page and remove every chip
+function removeListChips() {
+  if (listChipsObserver) {
+    listChipsObserver.disconnect();
+    listChipsObserver = null;
+  }
+  clearTimeout(listChipsScanTimer);
+  document.querySelectorAll('.portfolio-overlay-chip').forEach(chip => chip.remove());
+  document.querySelectorAll(`[${CHIP_ROW_ATTRIBUTE}]`).forEach(row => row.removeAttribute(CHIP_ROW_ATTRIBUTE));
+}
+
+// Inspect table rows not yet handled and add a chip to those whose instrument is held.
+// Every inspected row is marked, so rows without an instrument aren't parsed again.
+async function scanForListChips() {
+  observeListTables();
+  const rows = Array.from(document.querySelectorAll(`tr:not([${CHIP_ROW_ATTRIBUTE}])`))
+    .filter(row => !row.closest('#portfolio-overlay-panel'))
+    .map(row => ({ row, instrument: getRowInstrument(row) }));
+  if (rows.length === 0) return;
+
+  // Holdings are only requested once a page actually lists instruments
+  if (!holdingsLookup && rows.some(({ instrument }) => instrument)) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_ALL_HOLDINGS' });
+      if (response.error) return;
+      holdingsLookup = buildHoldingsLookup(response.portfolioData || {});
+    } catch (err) {
+      // Extension may have been reloaded - ignore
+      return;
+    }
+  }
+
+  for (const { row, instrument } of rows) {
+    if (row.hasAttribute(CHIP_ROW_ATTRIBUTE)) continue;
+    row.setAttribute(CHIP_ROW_ATTRIBUTE, '');
+
+    const holding = instrument && findListHolding(instrument);
+    if (holding) {
+      insertChip(instrument, createChipElement(holding));
+    }
+  }
+}
+
+// Index cached holdings by pairId and by asset page path
+function buildHoldingsLookup(portfolioData) {
+  const byPairId = {};
+  const byUrl = {};
+  for (const holding of Object.values(portfolioData)) {
+    if (holding.pairId) byPairId[holding.pairId] = holding;
+    // The same path can list several exchanges (told apart by ?cid=); the first holding wins
+    if (holding.url && !byUrl[holding.url]) byUrl[holding.url] = holding;
+  }
+  return { byPairId, byUrl };
+}
+
+// Work out which instrument a table row lists: its pairId and/or asset page link
+function getRowInstrument(row) {
+  let link = null;
+  let path = null;
+  let linkPairId = null;
+  for (const a of row.querySelectorAll('a[href]')) {
+    let url;
+    try {
+      url = new URL(a.getAttribute('href'), location.origin);
+    } catch (err) {
+      continue;
+    }
+    if (!/(^|\.)investing\.com$/.test(url.hostname) || !getAssetType(url.pathname)) continue;
+    link = a;
+    path = url.pathname;
+    // Other exchanges' listings of the same instrument link with ?cid=<pairId>
+    linkPairId = url.searchParams.get('cid');
+    break;
+  }
+
+  const pairIdEl = row.matches('[data-pair-id]') ? row : row.querySelector('[data-pair-id]');
+  const idMatch = row.id.match(/^pair_(\d+)$/);
+  const pairId = linkPairId ||
+    (pairIdEl ? pairIdEl.getAttribute('data-pair-id') : null) ||
+    (idMatch ? idMatch[1] : null);
+
+  if (!path && !pairId) return null;
+  return { row, link, path, pairId, otherListing: Boolean(linkPairId) };
+}
+
+// Match a listed instrument to a holding, preferring pairId over the page path. A link
+// to another exchange's listing (?cid=) names that listing, so it isn't matched by path.
+function findListHolding(instrument) {
+  if (instrument.pairId && holdingsLookup.byPairId[instrument.pairId]) {
+    return holdingsLookup.byPairId[instrument.pairId];
+  }
+  if (instrument.path && !instrument.otherListing) {
+    return holdingsLookup.byUrl[instrument.path] || null;
+  }
+  return null;
+}
+
+// Build a chip showing quantity and P/L % from the cached holding
+function createChipElement(holding) {
+  const chip = document.createElement('span');
+  chip.className = 'portfolio-overlay-chip';
+
+  const currency = holding.currency || '$';
+  const assetType = holding.assetType || getAssetType(holding.url);
+  const lastPrice = holding.qty ? holding.totalValue / (holding.qty * getPriceScale(assetType)) : null;
+  const plPercent = lastPrice && holding.avgPrice ? ((lastPrice - holding.avgPrice) / holding.avgPrice) * 100 : null;
+
+  const qty = document.createElement('span');
+  qty.textContent = formatQuantity(holding.qty);
+  chip.appendChild(qty);
+
+  if (plPercent !== null) {
+    const pl = document.createElement('span');
+    pl.className = plPercent >= 0 ? 'positive' : 'negative';
+    pl.textContent = `${plPercent >= 0 ? '+' : ''}${formatNumber(plPercent, 1, 1)}%`;
+    chip.append(' · ', pl);
+  }
+
+  const label = holding.exchange ? `${holding.symbol} (${holding.exchange})` : holding.symbol;
+  const manual = (holding.portfolios || []).some(p => p.manual) ? ', incl. manual holdings' : '';
+  chip.title = `${label}: ${formatQuantity(holding.qty)} held${manual}, avg. ${formatUnitPrice(holding.avgPrice, currency, assetType)}, ` +
+    `value ${formatCurrency(holding.totalValue, currency)} (last sync)`;
+
+  return chip;
+}
+
+// Put the chip after the instrument link, or at the end of the row's first cell
+function insertChip(instrument, chip) {
+  if (instrument.link) {
+    instrument.link.insertAdjacentElement('afterend', chip);
+    return;
+  }
+  const cell = instrument.row.querySelector('td, th');
+  if (cell) {
+    cell.appendChild(chip);
+  }
+}
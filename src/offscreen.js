@@ -0,0 +1,236 @@
+// Portfolio Overlay Offscreen Parser
+// Parses investing.com pages with DOMParser on behalf of the service worker,
+// which has no DOM. Receives HTML, returns structured data.
+// Dependencies: format.js (loaded before this file)
+
+// Listen for parse requests from the background service worker
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') {
+    return false;
+  }
+
+  try {
+    if (message.type === 'PARSE_PORTFOLIO_PAGE') {
+      sendResponse(parsePortfolioPage(message.html));
+    } else if (message.type === 'PARSE_INSTRUMENT_PAGE') {
+      sendResponse(parseInstrumentPage(message.html));
+    } else {
+      sendResponse({ error: `Unknown parse request: ${message.type}` });
+    }
+  } catch (err) {
+    sendResponse({ error: err.message });
+  }
+  return false;
+});
+
+// Parse a portfolio page: its tabs, the selected tab, and the holdings/watchlist rows it shows
+function parsePortfolioPage(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const tabs = extractPortfolioTabs(doc);
+
+  return {
+    blocked: detectBlockedPage(doc),
+    selectedPortfolioId: extractSelectedPortfolioId(doc),
+    holdingsPortfolios: tabs.filter(tab => tab.type === 'holdings'),
+    watchlistPortfolios: tabs.filter(tab => tab.type === 'watchlist'),
+    holdings: parseHoldings(doc),
+    watchlistItems: parseWatchlistItems(doc)
+  };
+}
+
+// Parse an instrument page (e.g. a currency pair) for its last price
+function parseInstrumentPage(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const priceEl = doc.querySelector('[data-test="instrument-price-last"]');
+  return {
+    lastPrice: priceEl ? parseMoneyValue(priceEl.textContent.trim(), getDocumentLocale(doc)) || null : null
+  };
+}
+
+// Recognize a page served instead of the portfolio: a bot check or the sign-in page.
+// Returns 'captcha', 'logged-out' or null.
+function detectBlockedPage(doc) {
+  const title = doc.title.trim();
+  if (/^just a moment/i.test(title) ||
+    doc.querySelector('#challenge-form, #challenge-running, .cf-browser-verification, .g-recaptcha, .h-captcha, iframe[src*="captcha"]')) {
+    return 'captcha';
+  }
+
+  // A page with portfolio tabs is the real thing, whatever else it contains
+  if (doc.querySelector('li.portfolioTab[data-portfolio-id]')) {
+    return null;
+  }
+
+  if (doc.querySelector('input[type="password"], form[action*="login"], form[action*="signin"]')) {
+    return 'logged-out';
+  }
+  return null;
+}
+
+// Extract the currently selected portfolio ID (the tab marked selected or active)
+function extractSelectedPortfolioId(doc) {
+  const selectedTab = doc.querySelector('li.portfolioTab.selected[data-portfolio-id], li.portfolioTab.active[data-portfolio-id]') ||
+    doc.querySelector('li[data-portfolio-id].selected, li[data-portfolio-id].active');
+  return selectedTab ? selectedTab.getAttribute('data-portfolio-id') : null;
+}
+
+// Extract portfolio tabs, typed by the icon inside each tab
+function extractPortfolioTabs(doc) {
+  const tabs = [];
+
+  for (const li of doc.querySelectorAll('li.portfolioTab[data-portfolio-id]')) {
+    const numericId = li.getAttribute('data-portfolio-id');
+    if (tabs.find(tab => tab.numericId === numericId)) continue;
+
+    // data-publicid is URL-encoded
+    const publicIdEl = li.querySelector('[data-publicid]');
+    const publicId = publicIdEl ? decodeURIComponent(publicIdEl.getAttribute('data-publicid')) : '';
+
+    let type = null;
+    if (li.querySelector('.watchlistIcon')) {
+      type = 'watchlist';
+    } else if (li.querySelector('.positionIcon')) {
+      type = 'holdings';
+    }
+    if (!type) continue;
+
+    tabs.push({
+      id: publicId || numericId,
+      numericId,
+      publicId,
+      name: li.getAttribute('title') || '',
+      type
+    });
+  }
+
+  return tabs;
+}
+
+// Parse open position rows into holdings keyed by symbol:exchange. Each row is one tax lot.
+function parseHoldings(doc) {
+  const portfolioData = {};
+  const locale = getDocumentLocale(doc);
+
+  for (const tr of doc.querySelectorAll('tr.openPositionTR')) {
+    try {
+      const pairId = tr.getAttribute('data-pair-id') || '';
+      const amount = parseFloat(tr.getAttribute('data-amount')) || 0;
+      const avgPrice = parseFloat(tr.getAttribute('data-open-price')) || 0;
+      const name = tr.getAttribute('data-pair-name') || '';
+      const fullName = tr.getAttribute('data-fullname') || '';
+      const openTime = tr.getAttribute('data-open-time') || '';
+      const commission = parseFloat(tr.getAttribute('data-commission')) || 0;
+      const currencySymbol = tr.getAttribute('data-commission-cur') || '$';
+
+      const symbolEl = tr.querySelector('td[data-column-name="sum_pos_fpb_symbols"] a');
+      const symbol = symbolEl ? symbolEl.textContent.trim() : '';
+
+      const exchangeEl = tr.querySelector('td[data-column-name="exchange"]');
+      const exchange = exchangeEl ? (exchangeEl.getAttribute('title') || '').trim() : '';
+
+      const valueEl = tr.querySelector('td[data-column-name="sum_pos_market_value"]');
+      let totalValue = parseMoneyValue(valueEl ? valueEl.getAttribute('title') : '', locale);
+
+      const url = extractInstrumentPath(tr);
+      const assetType = getAssetType(url);
+
+      // If no market value found, calculate from current price if available
+      if (!totalValue && amount > 0) {
+        const curPrice = parseFloat(tr.getAttribute('data-curprice')) || 0;
+        if (curPrice > 0) {
+          totalValue = amount * curPrice * getPriceScale(assetType);
+        }
+      }
+
+      if (!symbol) continue;
+
+      // Use symbol:exchange as the key to distinguish same ticker on different exchanges
+      const key = exchange ? `${symbol}:${exchange}` : symbol;
+      const lot = { openTime, qty: amount, openPrice: avgPrice, commission };
+
+      if (portfolioData[key]) {
+        // Same symbol on same exchange - aggregate quantities and calculate weighted average price
+        const existing = portfolioData[key];
+        const newQty = existing.qty + amount;
+        portfolioData[key] = {
+          ...existing,
+          qty: newQty,
+          avgPrice: (existing.avgPrice * existing.qty + avgPrice * amount) / newQty,
+          totalValue: existing.totalValue + totalValue,
+          lots: [...existing.lots, lot]
+        };
+      } else {
+        portfolioData[key] = {
+          symbol,
+          exchange,
+          name,
+          fullName,
+          pairId,
+          qty: amount,
+          avgPrice,
+          totalValue,
+          openTime,
+          url,
+          assetType,
+          currency: currencySymbol,
+          lots: [lot]
+        };
+      }
+    } catch (err) {
+      // Skip malformed rows
+    }
+  }
+
+  return portfolioData;
+}
+
+// Parse watchlist rows (rows with a pair ID that are not open positions).
+// Notes and target prices are read when the watchlist shows those columns.
+function parseWatchlistItems(doc) {
+  const items = [];
+  const locale = getDocumentLocale(doc);
+
+  for (const tr of doc.querySelectorAll('tr[data-pair-id]:not(.openPositionTR)')) {
+    const pairId = tr.getAttribute('data-pair-id') || '';
+    const symbolEl = tr.querySelector('td[data-column-name="symbol"]');
+    const nameEl = tr.querySelector('td[data-column-name="name"] a');
+    const noteEl = tr.querySelector('td[data-column-name*="note"]');
+    const targetEl = tr.querySelector('td[data-column-name*="target"]');
+
+    const item = {
+      pairId,
+      symbol: symbolEl ? symbolEl.textContent.trim() : '',
+      name: nameEl ? nameEl.textContent.trim() : '',
+      url: extractInstrumentPath(tr),
+      note: noteEl ? noteEl.textContent.trim() : '',
+      targetPrice: targetEl ? parseMoneyValue(targetEl.textContent.trim(), locale) || null : null
+    };
+
+    if (item.pairId || item.symbol) {
+      items.push(item);
+    }
+  }
+
+  return items;
+}
+
+// Find the asset page path (e.g. /equities/apple-computer-inc) linked from a row
+function extractInstrumentPath(row) {
+  for (const link of row.querySelectorAll('a[href]')) {
+    const path = new URL(link.getAttribute('href'), 'https://www.investing.com').pathname;
+    if (getAssetType(path)) {
+      return path;
+    }
+  }
+  return '';
+}
+
+// Parse money value like "$173,982.64", "$51.17K" or "1.234,56 €" (in the page's locale) to number
+function parseMoneyValue(str, locale) {
+  return parseLocalizedNumber(str, locale) || 0;
+}
+
+// Locale a fetched page is written in, from its lang attribute (regional editions set e.g. "de")
+function getDocumentLocale(doc) {
+  return doc.documentElement.getAttribute('lang') || 'en-US';
+}
@@ -3,20 +3,66 @@
 
 const panelState = {
   // Holding data (from portfolio)
-  holding: null, // { qty, avgPrice, currency, symbol, name, fullName }
+  holding: null, // { qty, avgPrice, currency, symbol, name, fullName, portfolios, lots }
+
+  // Storage key of the holding (symbol:exchange), used for alerts
+  holdingKey: null,
+
+  // Price/P&L alerts set on this holding
+  alerts: [],
+
+  // Portfolio ID -> group name, from settings
+  portfolioGroups: {},
+
+  // Base currency and the rate converting the holding's currency into it
+  baseCurrency: null,
+  fxRate: null,
+
+  // Instrument type (stock, bond, crypto, ...), which decides how the price is read and valued
+  assetType: '',
 
   // Current price from page
   currentPrice: null,
 
+  // Previous close from page, for the day's change
+  previousClose: null,
+
+  // Cached value of all holdings in the base currency, for the position's weight
+  portfolioTotal: null,
+
+  // Fields shown, in order, and whether they fit on one line (from settings)
+  fields: PANEL_FIELDS,
+  compact: false,
+
+  // Collapsed and floating state, and the floating card's position ({ left, top }), saved in storage
+  collapsed: false,
+  floating: false,
+  position: null,
+
+  // Set when the last sync hit a sign-in or bot check page ({ state, message, detectedAt })
+  sessionProblem: null,
+
   // Computed getters
+  get priceScale() {
+    return getPriceScale(this.assetType);
+  },
+
+  // 'manual' when the position is only in manual holdings, 'mixed' when manual holdings add to a synced one
+  get manualSource() {
+    const portfolios = (this.holding && this.holding.portfolios) || [];
+    const manualCount = portfolios.filter(p => p.manual).length;
+    if (manualCount === 0) return null;
+    return manualCount === portfolios.length ? 'manual' : 'mixed';
+  },
+
   get totalValue() {
     if (!this.holding || !this.currentPrice) return null;
-    return this.currentPrice * this.holding.qty;
+    return this.currentPrice * this.holding.qty * this.priceScale;
   },
 
   get pl() {
     if (!this.holding || !this.currentPrice || !this.holding.avgPrice) return null;
-    return (this.currentPrice - this.holding.avgPrice) * this.holding.qty;
+    return (this.currentPrice - this.holding.avgPrice) * this.holding.qty * this.priceScale;
   },
 
   get plPercent() {
@@ -24,19 +70,220 @@ const panelState = {
     return ((this.currentPrice - this.holding.avgPrice) / this.holding.avgPrice) * 100;
   },
 
+  // Change in the position's value since the previous close
+  get dayChange() {
+    if (!this.holding || !this.currentPrice || !this.previousClose) return null;
+    return (this.currentPrice - this.previousClose) * this.holding.qty * this.priceScale;
+  },
+
+  get dayChangePercent() {
+    if (!this.currentPrice || !this.previousClose) return null;
+    return ((this.currentPrice - this.previousClose) / this.previousClose) * 100;
+  },
+
+  // Share of the whole portfolio's value, with this position at its live value and the rest as cached
+  get weight() {
+    if (!this.holding || !this.portfolioTotal || !this.fxRate) return null;
+    const cachedBase = (this.holding.totalValue || 0) * this.fxRate;
+    const liveBase = this.totalValue !== null ? this.totalValue * this.fxRate : cachedBase;
+    const total = this.portfolioTotal - cachedBase + liveBase;
+    return total ? (liveBase / total) * 100 : null;
+  },
+
+  // Whether values should also be shown in the base currency
+  get showBaseCurrency() {
+    return !!(this.baseCurrency && this.fxRate && this.holding &&
+      getCurrencyCode(this.holding.currency || '$') !== this.baseCurrency);
+  },
+
+  get totalValueBase() {
+    if (this.totalValue === null || !this.fxRate) return null;
+    return this.totalValue * this.fxRate;
+  },
+
+  get plBase() {
+    if (this.pl === null || !this.fxRate) return null;
+    return this.pl * this.fxRate;
+  },
+
+  // Live value of one portfolio's contribution (falls back to the cached value)
+  portfolioValue(contribution) {
+    if (!this.currentPrice) return contribution.totalValue ?? null;
+    return this.currentPrice * contribution.qty * this.priceScale;
+  },
+
+  // Figures per portfolio group (empty when none of the holding's portfolios is grouped)
+  get groups() {
+    const portfolios = (this.holding && this.holding.portfolios) || [];
+    if (!portfolios.some(p => this.portfolioGroups[p.portfolioId])) return [];
+
+    const groups = {};
+    for (const p of portfolios) {
+      const name = this.portfolioGroups[p.portfolioId] || 'Ungrouped';
+      if (!groups[name]) {
+        groups[name] = { name, qty: 0, cost: 0, totalValue: 0 };
+      }
+      groups[name].qty += p.qty;
+      groups[name].cost += p.qty * p.avgPrice;
+      groups[name].totalValue += p.totalValue || 0;
+    }
+    return Object.values(groups).map(g => ({
+      name: g.name,
+      qty: g.qty,
+      avgPrice: g.qty ? g.cost / g.qty : 0,
+      totalValue: g.totalValue
+    }));
+  },
+
+  groupPl(group) {
+    if (!this.currentPrice || !group.avgPrice) return null;
+    return (this.currentPrice - group.avgPrice) * group.qty * this.priceScale;
+  },
+
+  groupPlPercent(group) {
+    if (!this.currentPrice || !group.avgPrice) return null;
+    return ((this.currentPrice - group.avgPrice) / group.avgPrice) * 100;
+  },
+
+  // Tax lots, oldest first
+  get lots() {
+    if (!this.holding || !this.holding.lots) return [];
+    return [...this.holding.lots].sort((a, b) => (this.lotOpenDate(a) || 0) - (this.lotOpenDate(b) || 0));
+  },
+
+  // Parse a lot's open time (unix seconds/ms or a date string)
+  lotOpenDate(lot) {
+    if (!lot.openTime) return null;
+    const numeric = Number(lot.openTime);
+    const date = Number.isFinite(numeric)
+      ? new Date(numeric < 1e12 ? numeric * 1000 : numeric)
+      : new Date(lot.openTime);
+    return isNaN(date) ? null : date;
+  },
+
+  lotPl(lot) {
+    if (!this.currentPrice || !lot.openPrice) return null;
+    return (this.currentPrice - lot.openPrice) * lot.qty * this.priceScale;
+  },
+
+  lotPlPercent(lot) {
+    if (!this.currentPrice || !lot.openPrice) return null;
+    return ((this.currentPrice - lot.openPrice) / lot.openPrice) * 100;
+  },
+
+  lotHoldingDays(lot) {
+    const opened = this.lotOpenDate(lot);
+    if (!opened) return null;
+    return Math.floor((Date.now() - opened) / (1000 * 60 * 60 * 24));
+  },
+
+  // Long-term once held for more than one calendar year
+  isLongTerm(lot) {
+    const opened = this.lotOpenDate(lot);
+    if (!opened) return null;
+    const oneYearLater = new Date(opened);
+    oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
+    return Date.now() > oneYearLater.getTime();
+  },
+
+  // Whether any alert is still waiting to fire
+  get hasActiveAlerts() {
+    return this.alerts.some(alert => !alert.triggeredAt);
+  },
+
   // Reset state (on navigation)
   reset() {
     this.holding = null;
+    this.holdingKey = null;
+    this.alerts = [];
+    this.portfolioGroups = {};
+    this.baseCurrency = null;
+    this.fxRate = null;
+    this.assetType = '';
     this.currentPrice = null;
+    this.previousClose = null;
+    this.portfolioTotal = null;
+    this.fields = PANEL_FIELDS;
+    this.compact = false;
+    this.collapsed = false;
+    this.floating = false;
+    this.position = null;
+    this.sessionProblem = null;
   },
 
   // Set holding data
-  setHolding(holding) {
+  setHolding(holding, holdingKey) {
     this.holding = holding;
+    this.holdingKey = holdingKey;
+  },
+
+  // Set base currency conversion ({ baseCurrency, rate } from background)
+  setFx(fx) {
+    this.baseCurrency = fx ? fx.baseCurrency : null;
+    this.fxRate = fx ? fx.rate : null;
+  },
+
+  // Set portfolio group assignments
+  setPortfolioGroups(portfolioGroups) {
+    this.portfolioGroups = portfolioGroups || {};
+  },
+
+  // Set alerts
+  setAlerts(alerts) {
+    this.alerts = alerts;
+  },
+
+  // Set the instrument type
+  setAssetType(assetType) {
+    this.assetType = assetType || '';
   },
 
   // Set current price
   setCurrentPrice(price) {
     this.currentPrice = price;
+  },
+
+  // Set previous close
+  setPreviousClose(price) {
+    this.previousClose = price;
+  },
+
+  // Set the total portfolio value in the base currency
+  setPortfolioTotal(portfolioTotal) {
+    this.portfolioTotal = portfolioTotal || null;
+  },
+
+  // Set the panel's fields and mode from settings, and its saved layout
+  setLayout(settings, layout) {
+    this.fields = settings.panelFields || PANEL_FIELDS;
+    this.compact = !!settings.panelCompact;
+    this.collapsed = !!(layout && layout.collapsed);
+    this.floating = !!(layout && layout.floating);
+    this.position = (layout && layout.position) || null;
+  },
+
+  // Collapse or expand the panel
+  setCollapsed(collapsed) {
+    this.collapsed = collapsed;
+  },
+
+  // Float the panel over the page, or dock it in the page header
+  setFloating(floating) {
+    this.floating = floating;
+  },
+
+  // Set the floating panel's position
+  setPosition(position) {
+    this.position = position;
+  },
+
+  // The layout saved in storage
+  get layout() {
+    return { collapsed: this.collapsed, floating: this.floating, position: this.position };
+  },
+
+  // Set the session problem reported by the background (null when the session is fine)
+  setSessionProblem(sessionProblem) {
+    this.sessionProblem = sessionProblem || null;
   }
 };
@@ -9,93 +9,54 @@ function removeExistingPanel() {
   panelState.reset();
 }
 
-// Get current price from page
-function getCurrentPriceFromPage() {
-  // Try the data-test attribute first
-  const priceEl = document.querySelector('[data-test="instrument-price-last"]');
-  if (priceEl) {
-    const priceText = priceEl.textContent.trim();
-    return parsePrice(priceText);
+// Find the element showing the live price on the page
+function findPriceElement(assetType) {
+  // Bond pages headline the yield; the price (as a percentage of par) is the "Price" key figure
+  if (assetType === 'bond') {
+    for (const label of document.querySelectorAll('dt, span, div')) {
+      if (label.children.length === 0 && label.textContent.trim() === 'Price' && label.nextElementSibling) {
+        return label.nextElementSibling;
+      }
+    }
+    return null;
   }
 
-  // Fallback: look for price in other common selectors
-  const altPriceEl = document.querySelector('.instrument-price_instrument-price__2w9MW [data-test="instrument-price-last"]');
-  if (altPriceEl) {
-    return parsePrice(altPriceEl.textContent.trim());
-  }
+  // Try the data-test attribute first
+  return document.querySelector('[data-test="instrument-price-last"]') ||
+    // Fallback: look for price in other common selectors
+    document.querySelector('.instrument-price_instrument-price__2w9MW [data-test="instrument-price-last"]');
+}
 
-  return null;
+// Get current price from page
+function getCurrentPriceFromPage(assetType) {
+  const priceEl = findPriceElement(assetType);
+  return priceEl ? parsePrice(priceEl.textContent.trim()) : null;
 }
 
-// Parse price string to number
+// Get the previous close from the page, or work it back from the day's change
+function getPreviousCloseFromPage(assetType, currentPrice) {
+  // Bond pages quote the previous close and change for the yield, not the price
+  if (assetType === 'bond') return null;
+
+  const prevCloseEl = document.querySelector('[data-test="prevClose"]');
+  const previousClose = prevCloseEl ? parsePrice(prevCloseEl.textContent.trim()) : null;
+  if (previousClose) return previousClose;
+
+  const changeEl = document.querySelector('[data-test="instrument-price-change"]');
+  const change = changeEl ? parsePrice(changeEl.textContent.trim()) : null;
+  return change !== null && currentPrice ? currentPrice - change : null;
+}
+
+// Parse price string to number, in the locale of the investing.com edition the page is on
 function parsePrice(priceStr) {
-  if (!priceStr) return null;
-  // Remove currency symbols, commas, spaces
-  const cleaned = priceStr.replace(/[^0-9.-]/g, '');
-  const price = parseFloat(cleaned);
-  return isNaN(price) ? null : price;
-}
-
-// Decode HTML entities (in case storage has encoded values)
-function decodeHtmlEntities(str) {
-  if (!str) return str;
-  const entities = {
-    '&#x20ac;': '\u20ac',
-    '&euro;': '\u20ac',
-    '&#x24;': '$',
-    '&#36;': '$',
-    '&#x00a3;': '\u00a3',
-    '&pound;': '\u00a3',
-    '&#x00a5;': '\u00a5',
-    '&yen;': '\u00a5'
-  };
-  let result = str;
-  for (const [entity, char] of Object.entries(entities)) {
-    result = result.replace(new RegExp(entity, 'gi'), char);
-  }
-  // Handle remaining numeric entities
-  result = result.replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
-  result = result.replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)));
-  return result;
-}
-
-// Map currency symbols to ISO codes
-function getCurrencyCode(symbol) {
-  // Decode HTML entities first
-  const decoded = decodeHtmlEntities(symbol);
-  const currencyMap = {
-    '$': 'USD',
-    'C$': 'CAD',
-    '\u20ac': 'EUR',
-    '\u00a3': 'GBP',
-    '\u00a5': 'JPY',
-    'CHF': 'CHF',
-    'A$': 'AUD',
-    'NZ$': 'NZD',
-    'HK$': 'HKD',
-    'S$': 'SGD',
-    '\u20b9': 'INR',
-    '\u20aa': 'ILS',
-    'kr': 'SEK',
-    'z\u0142': 'PLN',
-    'R$': 'BRL',
-    '\u20a9': 'KRW'
-  };
-  return currencyMap[decoded] || 'USD';
+  return parseLocalizedNumber(priceStr, document.documentElement.lang || 'en-US');
 }
 
-// Format number as currency
-function formatCurrency(value, currencySymbol = '$') {
-  if (value === null || value === undefined || isNaN(value)) {
-    return '-';
-  }
-  const currencyCode = getCurrencyCode(currencySymbol);
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: currencyCode,
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
-  }).format(value);
+// Format a holding period in days, e.g. "45d" or "2y 30d"
+function formatHoldingPeriod(days) {
+  if (days === null) return '-';
+  if (days < 365) return `${days}d`;
+  return `${Math.floor(days / 365)}y ${days % 365}d`;
 }
 
 // Create the panel DOM element
@@ -105,47 +66,255 @@ function createPanelElement() {
   panel.className = 'portfolio-overlay-panel';
 
   const currency = panelState.holding.currency || '$';
-  const qty = panelState.holding.qty?.toLocaleString() || '0';
-  const avgPriceFormatted = formatCurrency(panelState.holding.avgPrice, currency);
+  const assetType = panelState.assetType;
+  const qty = formatQuantity(panelState.holding.qty);
+  const avgPriceFormatted = formatUnitPrice(panelState.holding.avgPrice, currency, assetType);
   const totalValueFormatted = formatCurrency(panelState.totalValue, currency);
 
-  // Build P/L HTML
-  let plHtml = '';
-  if (panelState.pl !== null) {
-    const plClass = panelState.pl >= 0 ? 'positive' : 'negative';
-    const plSign = panelState.pl >= 0 ? '+' : '';
-    plHtml = `
-      <div class="portfolio-overlay-item">
-        <span class="portfolio-overlay-label">P/L</span>
-        <span id="panel-pl" class="portfolio-overlay-value ${plClass}">${plSign}${formatCurrency(panelState.pl, currency)} (${plSign}${panelState.plPercent.toFixed(2)}%)</span>
+  // Base currency equivalents (only when the holding is in another currency)
+  const baseCurrency = panelState.baseCurrency;
+  const totalValueBaseHtml = panelState.showBaseCurrency
+    ? `<span id="panel-total-value-base" class="portfolio-overlay-subvalue">\u2248 ${formatCurrency(panelState.totalValueBase, baseCurrency)}</span>`
+    : '';
+
+  // Build one item per field; settings choose which appear and in what order
+  const plClass = panelState.pl !== null && panelState.pl < 0 ? 'negative' : 'positive';
+  const plBaseHtml = panelState.showBaseCurrency && panelState.pl !== null
+    ? `<span id="panel-pl-base" class="portfolio-overlay-subvalue">\u2248 ${formatCurrency(panelState.plBase, baseCurrency)}</span>`
+    : '';
+  const dayChangeClass = panelState.dayChange !== null && panelState.dayChange < 0 ? 'negative' : 'positive';
+  const fieldItems = {
+    qty: {
+      label: 'Quantity',
+      html: `<span class="portfolio-overlay-value">${qty}</span>`
+    },
+    avgPrice: {
+      label: 'Avg. Buy Price',
+      html: `<span class="portfolio-overlay-value">${avgPriceFormatted}</span>`
+    },
+    totalValue: {
+      label: 'Total Value',
+      html: `<span id="panel-total-value" class="portfolio-overlay-value">${totalValueFormatted}</span>${totalValueBaseHtml}`
+    },
+    pl: panelState.pl === null ? null : {
+      label: 'P/L',
+      html: `<span id="panel-pl" class="portfolio-overlay-value ${plClass}">${formatPl(panelState.pl, panelState.plPercent, currency)}</span>${plBaseHtml}`
+    },
+    dayChange: panelState.dayChange === null ? null : {
+      label: 'Day Change',
+      html: `<span id="panel-day-change" class="portfolio-overlay-value ${dayChangeClass}">${formatPl(panelState.dayChange, panelState.dayChangePercent, currency)}</span>`
+    },
+    weight: panelState.weight === null ? null : {
+      label: 'Weight',
+      html: `<span id="panel-weight" class="portfolio-overlay-value">${formatPercent(panelState.weight)}</span>`
+    }
+  };
+  const fieldsHtml = panelState.fields
+    .filter(field => fieldItems[field])
+    .map(field => `
+      <div class="portfolio-overlay-item" title="${fieldItems[field].label}">
+        <span class="portfolio-overlay-label">${fieldItems[field].label}</span>
+        ${fieldItems[field].html}
+      </div>
+    `).join('');
+
+  // Build per-portfolio breakdown (only useful when the position spans several portfolios)
+  let breakdownHtml = '';
+  const portfolios = panelState.holding.portfolios || [];
+  if (portfolios.length > 1) {
+    const rows = portfolios.map((p, index) => `
+      <tr>
+        <td>${escapeHtml(p.portfolioName)}${p.manual ? ' <span class="portfolio-overlay-manual">Manual</span>' : ''}</td>
+        <td>${formatQuantity(p.qty)}</td>
+        <td>${formatUnitPrice(p.avgPrice, currency, assetType)}</td>
+        <td id="panel-portfolio-value-${index}">${formatCurrency(panelState.portfolioValue(p), currency)}</td>
+      </tr>
+    `).join('');
+    breakdownHtml = `
+      <details class="portfolio-overlay-breakdown">
+        <summary>By portfolio (${portfolios.length})</summary>
+        <table>
+          <thead>
+            <tr><th>Portfolio</th><th>Quantity</th><th>Avg. Buy Price</th><th>Value</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </details>
+    `;
+  }
+
+  // Build per-group figures
+  let groupsHtml = '';
+  const groups = panelState.groups;
+  if (groups.length > 0) {
+    const rows = groups.map((g, index) => {
+      const groupPl = panelState.groupPl(g);
+      return `
+        <tr>
+          <td>${escapeHtml(g.name)}</td>
+          <td>${formatQuantity(g.qty)}</td>
+          <td>${formatUnitPrice(g.avgPrice, currency, assetType)}</td>
+          <td id="panel-group-value-${index}">${formatCurrency(panelState.portfolioValue(g), currency)}</td>
+          <td id="panel-group-pl-${index}" class="${groupPl !== null && groupPl < 0 ? 'negative' : 'positive'}">${groupPl !== null ? formatPl(groupPl, panelState.groupPlPercent(g), currency) : '-'}</td>
+        </tr>
+      `;
+    }).join('');
+    groupsHtml = `
+      <details class="portfolio-overlay-breakdown" open>
+        <summary>By group (${groups.length})</summary>
+        <table>
+          <thead>
+            <tr><th>Group</th><th>Quantity</th><th>Avg. Buy Price</th><th>Value</th><th>P/L</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </details>
+    `;
+  }
+
+  // Build tax lots table
+  let lotsHtml = '';
+  const lots = panelState.lots;
+  if (lots.length > 0) {
+    const rows = lots.map((lot, index) => {
+      const opened = panelState.lotOpenDate(lot);
+      const lotPl = panelState.lotPl(lot);
+      const longTerm = panelState.isLongTerm(lot);
+      const termLabel = longTerm === null ? '-' : (longTerm ? 'Long' : 'Short');
+      return `
+        <tr>
+          <td>${opened ? opened.toLocaleDateString(displayFormat.locale) : '-'}</td>
+          <td>${escapeHtml(lot.portfolioName)}</td>
+          <td>${formatQuantity(lot.qty)}</td>
+          <td>${formatUnitPrice(lot.openPrice, currency, assetType)}</td>
+          <td id="panel-lot-pl-${index}" class="${lotPl !== null && lotPl < 0 ? 'negative' : 'positive'}">${lotPl !== null ? formatPl(lotPl, panelState.lotPlPercent(lot), currency) : '-'}</td>
+          <td>${formatHoldingPeriod(panelState.lotHoldingDays(lot))}</td>
+          <td class="portfolio-overlay-term ${longTerm ? 'long' : 'short'}">${termLabel}</td>
+        </tr>
+      `;
+    }).join('');
+    lotsHtml = `
+      <details class="portfolio-overlay-breakdown">
+        <summary>Tax lots (${lots.length})</summary>
+        <table>
+          <thead>
+            <tr><th>Opened</th><th>Portfolio</th><th>Quantity</th><th>Open Price</th><th>P/L</th><th>Held</th><th>Term</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </details>
+    `;
+  }
+
+  // Cached figures can't be refreshed until the user signs in or passes the bot check
+  let staleHtml = '';
+  if (panelState.sessionProblem) {
+    const action = panelState.sessionProblem.state === 'captcha' ? 'verify you are human' : 'sign in';
+    staleHtml = `
+      <div class="portfolio-overlay-stale">
+        Stale \u2014 <a href="${location.origin}/portfolio/">${action}</a> to refresh
       </div>
     `;
   }
 
+  // A currency the extension doesn't know is shown as-is and can't be converted, so say so
+  let unknownCurrencyHtml = '';
+  if (!getCurrencyCode(currency)) {
+    unknownCurrencyHtml = `
+      <div class="portfolio-overlay-stale">
+        Unknown currency "${escapeHtml(decodeHtmlEntities(currency))}" \u2014 not converted to ${escapeHtml(baseCurrency || 'your base currency')}
+      </div>
+    `;
+  }
+
+  // Positions entered by hand (held outside investing.com) are labeled as such
+  let manualHtml = '';
+  if (panelState.manualSource) {
+    const manualLabel = panelState.manualSource === 'manual' ? 'Manual' : 'Incl. manual';
+    manualHtml = `<span class="portfolio-overlay-manual" title="Entered in the extension, not synced from investing.com">${manualLabel}</span>`;
+  }
+
   panel.innerHTML = `
     <div class="portfolio-overlay-header">
       <span class="portfolio-overlay-title">Your Position</span>
+      ${manualHtml}
+      <span class="portfolio-overlay-controls">
+        <button type="button" data-panel-action="float"></button>
+        <button type="button" data-panel-action="collapse"></button>
+      </span>
     </div>
+    <div class="portfolio-overlay-body">
+    ${staleHtml}
+    ${unknownCurrencyHtml}
     <div class="portfolio-overlay-content">
-      <div class="portfolio-overlay-item">
-        <span class="portfolio-overlay-label">Quantity</span>
-        <span class="portfolio-overlay-value">${qty}</span>
-      </div>
-      <div class="portfolio-overlay-item">
-        <span class="portfolio-overlay-label">Avg. Buy Price</span>
-        <span class="portfolio-overlay-value">${avgPriceFormatted}</span>
-      </div>
-      <div class="portfolio-overlay-item">
-        <span class="portfolio-overlay-label">Total Value</span>
-        <span id="panel-total-value" class="portfolio-overlay-value">${totalValueFormatted}</span>
-      </div>
-      ${plHtml}
+      ${fieldsHtml}
+    </div>
+    ${groupsHtml}
+    ${breakdownHtml}
+    ${lotsHtml}
+    <details class="portfolio-overlay-breakdown portfolio-overlay-alerts">
+      <summary>Alerts (<span id="panel-alerts-count">0</span>)</summary>
+      <ul id="panel-alerts-list"></ul>
+      <form id="panel-alert-form">
+        <select name="alertType">
+          <option value="priceAbove">Price above</option>
+          <option value="priceBelow">Price below</option>
+          <option value="plAbove">P/L % above</option>
+          <option value="plBelow">P/L % below</option>
+          <option value="crossAvgPrice">Price crosses avg. buy price</option>
+        </select>
+        <input name="level" type="number" step="any" placeholder="Level">
+        <button type="submit">Add</button>
+      </form>
+      <p id="panel-alert-error" class="portfolio-overlay-alert-error" hidden></p>
+    </details>
     </div>
   `;
+  updatePanelLayout(panel);
 
   return panel;
 }
 
+// Apply the compact, collapsed and floating modes to the panel and its header buttons
+function updatePanelLayout(panel) {
+  panel.classList.toggle('compact', panelState.compact);
+  panel.classList.toggle('collapsed', panelState.collapsed);
+  panel.classList.toggle('floating', panelState.floating);
+
+  const floatButton = panel.querySelector('[data-panel-action="float"]');
+  floatButton.textContent = panelState.floating ? '\u2198' : '\u2197';
+  floatButton.title = panelState.floating ? 'Dock panel' : 'Pop out as a floating card';
+
+  const collapseButton = panel.querySelector('[data-panel-action="collapse"]');
+  collapseButton.textContent = panelState.collapsed ? '+' : '\u2212';
+  collapseButton.title = panelState.collapsed ? 'Expand' : 'Collapse';
+}
+
+// Describe an alert condition for display
+function describeAlert(alert, currencySymbol, assetType) {
+  if (alert.type === 'priceAbove') return `Price above ${formatUnitPrice(alert.level, currencySymbol, assetType)}`;
+  if (alert.type === 'priceBelow') return `Price below ${formatUnitPrice(alert.level, currencySymbol, assetType)}`;
+  if (alert.type === 'plAbove') return `P/L above ${alert.level}%`;
+  if (alert.type === 'plBelow') return `P/L below ${alert.level}%`;
+  return 'Price crosses avg. buy price';
+}
+
+// Render the alerts list from panelState
+function renderAlerts() {
+  const listEl = document.getElementById('panel-alerts-list');
+  const countEl = document.getElementById('panel-alerts-count');
+  if (!listEl || !countEl) return;
+
+  const currency = panelState.holding?.currency || '$';
+  countEl.textContent = panelState.alerts.length;
+  listEl.innerHTML = panelState.alerts.map(alert => `
+    <li class="${alert.triggeredAt ? 'triggered' : ''}">
+      <span>${escapeHtml(describeAlert(alert, currency, panelState.assetType))}${alert.triggeredAt ? ` - triggered ${new Date(alert.triggeredAt).toLocaleString(displayFormat.locale)}` : ''}</span>
+      <button type="button" data-alert-id="${escapeHtml(alert.id)}" title="Delete alert">&times;</button>
+    </li>
+  `).join('');
+}
+
 // Insert panel into page (try multiple locations)
 function insertPanel(panel) {
   // Find insertion point - after the instrument header details (next to price/company name)
@@ -188,24 +357,83 @@ function insertPanel(panel) {
   return false;
 }
 
-// Inject the holdings panel into the page
-function injectHoldingsPanel(holding, assetInfo) {
+// Inject the holdings panel into the page, laid out as settings and the saved layout say
+function injectHoldingsPanel(response, assetInfo, settings, layout) {
   // Remove any existing panel first
   removeExistingPanel();
+  panelState.setLayout(settings, layout);
 
   // Update state with holding data
-  panelState.setHolding(holding);
+  panelState.setHolding(response.match, response.holdingKey);
+  panelState.setFx(response.fx);
+  panelState.setPortfolioGroups(response.portfolioGroups);
+  panelState.setSessionProblem(response.sessionProblem);
+  panelState.setAssetType(response.match.assetType || assetInfo.assetType);
 
   // Get current price from page or assetInfo
-  let currentPrice = getCurrentPriceFromPage();
-  if (!currentPrice && assetInfo.lastPrice) {
+  let currentPrice = getCurrentPriceFromPage(panelState.assetType);
+  if (!currentPrice && panelState.assetType === 'bond') {
+    // The page's last price is the yield, so fall back to the price from the last sync
+    const { qty, totalValue } = response.match;
+    currentPrice = qty && totalValue ? totalValue / (qty * panelState.priceScale) : null;
+  } else if (!currentPrice && assetInfo.lastPrice) {
     currentPrice = parseFloat(assetInfo.lastPrice);
   }
   panelState.setCurrentPrice(currentPrice);
+  panelState.setPreviousClose(getPreviousCloseFromPage(panelState.assetType, currentPrice));
+  panelState.setPortfolioTotal(response.portfolioTotal);
 
   // Create and inject panel
-  const panel = createPanelElement();
-  insertPanel(panel);
+  placePanel(createPanelElement());
+}
+
+// Put the panel in the page header, or over the page as a floating card at its saved position
+function placePanel(panel) {
+  if (!panelState.floating) {
+    panel.style.left = '';
+    panel.style.top = '';
+    insertPanel(panel);
+    return;
+  }
+
+  document.body.appendChild(panel);
+  const position = panelState.position || { left: window.innerWidth - panel.offsetWidth - 24, top: 80 };
+  movePanel(panel, position.left, position.top);
+}
+
+// Move the floating panel, keeping it inside the window
+function movePanel(panel, left, top) {
+  const maxLeft = Math.max(0, window.innerWidth - panel.offsetWidth);
+  const maxTop = Math.max(0, window.innerHeight - panel.offsetHeight);
+  panel.style.left = `${Math.min(Math.max(0, left), maxLeft)}px`;
+  panel.style.top = `${Math.min(Math.max(0, top), maxTop)}px`;
+}
+
+// Inject a lightweight badge for an asset that is watched but not held
+function injectWatchlistBadge(watchlistEntry) {
+  removeExistingPanel();
+
+  const badge = document.createElement('div');
+  badge.id = 'portfolio-overlay-panel';
+  badge.className = 'portfolio-overlay-panel portfolio-overlay-watchlist';
+
+  const names = watchlistEntry.watchlists.map(w => escapeHtml(w.name)).join(', ');
+  const details = watchlistEntry.watchlists
+    .filter(w => w.note || w.targetPrice)
+    .map(w => {
+      const target = w.targetPrice ? `Target ${formatNumber(w.targetPrice, 0, 8)}` : '';
+      const note = w.note ? escapeHtml(w.note) : '';
+      return `<div class="portfolio-overlay-watchlist-note">${escapeHtml(w.name)}: ${[target, note].filter(Boolean).join(' \u00b7 ')}</div>`;
+    })
+    .join('');
+
+  badge.innerHTML = `
+    <span class="portfolio-overlay-title">On watchlists:</span>
+    <span class="portfolio-overlay-watchlist-names">${names}</span>
+    ${details}
+  `;
+
+  insertPanel(badge);
 }
 
 // Update only dynamic values in existing panel (called on price change)
@@ -224,8 +452,61 @@ function updatePanelUI() {
   const plEl = document.getElementById('panel-pl');
   if (plEl && panelState.pl !== null) {
     const plClass = panelState.pl >= 0 ? 'positive' : 'negative';
-    const plSign = panelState.pl >= 0 ? '+' : '';
-    plEl.textContent = `${plSign}${formatCurrency(panelState.pl, currency)} (${plSign}${panelState.plPercent.toFixed(2)}%)`;
+    plEl.textContent = formatPl(panelState.pl, panelState.plPercent, currency);
     plEl.className = `portfolio-overlay-value ${plClass}`;
   }
+
+  // Update day change and weight
+  const dayChangeEl = document.getElementById('panel-day-change');
+  if (dayChangeEl && panelState.dayChange !== null) {
+    const dayChangeClass = panelState.dayChange >= 0 ? 'positive' : 'negative';
+    dayChangeEl.textContent = formatPl(panelState.dayChange, panelState.dayChangePercent, currency);
+    dayChangeEl.className = `portfolio-overlay-value ${dayChangeClass}`;
+  }
+  const weightEl = document.getElementById('panel-weight');
+  if (weightEl && panelState.weight !== null) {
+    weightEl.textContent = formatPercent(panelState.weight);
+  }
+
+  // Update base currency equivalents
+  const totalValueBaseEl = document.getElementById('panel-total-value-base');
+  if (totalValueBaseEl) {
+    totalValueBaseEl.textContent = `\u2248 ${formatCurrency(panelState.totalValueBase, panelState.baseCurrency)}`;
+  }
+  const plBaseEl = document.getElementById('panel-pl-base');
+  if (plBaseEl) {
+    plBaseEl.textContent = `\u2248 ${formatCurrency(panelState.plBase, panelState.baseCurrency)}`;
+  }
+
+  // Update per-portfolio values
+  (panelState.holding.portfolios || []).forEach((p, index) => {
+    const valueEl = document.getElementById(`panel-portfolio-value-${index}`);
+    if (valueEl) {
+      valueEl.textContent = formatCurrency(panelState.portfolioValue(p), currency);
+    }
+  });
+
+  // Update per-group value and P/L
+  panelState.groups.forEach((g, index) => {
+    const valueEl = document.getElementById(`panel-group-value-${index}`);
+    if (valueEl) {
+      valueEl.textContent = formatCurrency(panelState.portfolioValue(g), currency);
+    }
+    const groupPlEl = document.getElementById(`panel-group-pl-${index}`);
+    const groupPl = panelState.groupPl(g);
+    if (groupPlEl && groupPl !== null) {
+      groupPlEl.textContent = formatPl(groupPl, panelState.groupPlPercent(g), currency);
+      groupPlEl.className = groupPl >= 0 ? 'positive' : 'negative';
+    }
+  });
+
+  // Update per-lot P/L
+  panelState.lots.forEach((lot, index) => {
+    const lotPlEl = document.getElementById(`panel-lot-pl-${index}`);
+    const lotPl = panelState.lotPl(lot);
+    if (lotPlEl && lotPl !== null) {
+      lotPlEl.textContent = formatPl(lotPl, panelState.lotPlPercent(lot), currency);
+      lotPlEl.className = lotPl >= 0 ? 'positive' : 'negative';
+    }
+  });
 }
@@ -3,28 +3,142 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Elements
   const lastSyncEl = document.getElementById('lastSync');
   const holdingsCountEl = document.getElementById('holdingsCount');
+  const sessionWarningEl = document.getElementById('sessionWarning');
   const refreshBtn = document.getElementById('refreshBtn');
+  const syncProgressEl = document.getElementById('syncProgress');
+  const syncProgressTextEl = document.getElementById('syncProgressText');
+  const cancelSyncBtn = document.getElementById('cancelSyncBtn');
+  const failingPortfoliosEl = document.getElementById('failingPortfolios');
+  const syncHistoryListEl = document.getElementById('syncHistoryList');
+  const dashboardBtn = document.getElementById('dashboardBtn');
   const saveBtn = document.getElementById('saveBtn');
   const debugBtn = document.getElementById('debugBtn');
   const clearBtn = document.getElementById('clearBtn');
   const debugOutput = document.getElementById('debugOutput');
   const cacheDurationInput = document.getElementById('cacheDuration');
   const monitoredPathsInput = document.getElementById('monitoredPaths');
+  const exportColumnsInput = document.getElementById('exportColumns');
+  const baseCurrencyInput = document.getElementById('baseCurrency');
+  const badgeMetricInput = document.getElementById('badgeMetric');
+  const showListChipsInput = document.getElementById('showListChips');
+  const panelFieldsInput = document.getElementById('panelFields');
+  const panelCompactInput = document.getElementById('panelCompact');
+  const themeInput = document.getElementById('theme');
+  const editionInput = document.getElementById('edition');
+  const numberLocaleInput = document.getElementById('numberLocale');
+  const priceDecimalsInput = document.getElementById('priceDecimals');
+  const currencyDisplayInput = document.getElementById('currencyDisplay');
+  const formatPreviewEl = document.getElementById('formatPreview');
+  const currencyWarningEl = document.getElementById('currencyWarning');
+  const portfolioLinkEl = document.getElementById('portfolioLink');
+  const portfolioListEl = document.getElementById('portfolioList');
+  const groupNamesEl = document.getElementById('groupNames');
+  const exportFormatInput = document.getElementById('exportFormat');
+  const exportBtn = document.getElementById('exportBtn');
+  const manualHoldingsListEl = document.getElementById('manualHoldingsList');
+  const manualHoldingForm = document.getElementById('manualHoldingForm');
+  const manualHoldingSaveBtn = document.getElementById('manualHoldingSaveBtn');
+  const manualHoldingCancelBtn = document.getElementById('manualHoldingCancelBtn');
+  const importCsvBtn = document.getElementById('importCsvBtn');
+
+  // Settings as last loaded, so saving keeps fields this popup doesn't edit
+  let currentSettings = {};
+
+  // Number of recent syncs shown in the sync history
+  const SYNC_HISTORY_SHOWN = 10;
+
+  // System dark mode, followed by the auto theme
+  const darkSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+  let themeSetting = 'auto';
+  darkSchemeQuery.addEventListener('change', () => applyTheme(themeSetting));
+
+  // Style the popup light or dark; auto follows the system setting
+  function applyTheme(theme) {
+    themeSetting = theme || 'auto';
+    const dark = themeSetting === 'dark' || (themeSetting === 'auto' && darkSchemeQuery.matches);
+    document.body.classList.toggle('theme-dark', dark);
+  }
+
+  // Show how values will look with the number format settings being edited
+  function renderFormatPreview() {
+    setDisplayFormat({
+      numberLocale: numberLocaleInput.value,
+      priceDecimals: parseInt(priceDecimalsInput.value, 10),
+      currencyDisplay: currencyDisplayInput.value
+    });
+    formatPreviewEl.textContent = `e.g. ${formatCurrency(1234.5678, '$')} \u00b7 ${formatCurrency(-0.4567, '\u20ac')}`;
+  }
+  [numberLocaleInput, priceDecimalsInput, currencyDisplayInput].forEach(input => {
+    input.addEventListener('input', renderFormatPreview);
+  });
+
+  // Labels for what started a sync
+  const SYNC_TRIGGER_LABELS = {
+    alarm: 'Scheduled',
+    manual: 'Manual',
+    'stale-cache': 'Page visit',
+    settings: 'Settings change'
+  };
+
+  // Labels for portfolio fetch failures
+  const OUTCOME_LABELS = {
+    'http-error': 'HTTP error',
+    'network-error': 'Network error',
+    'parse-failure': 'Parse failure',
+    mismatch: 'Mismatch'
+  };
+
+  // Live progress of whichever sync is running (popup, alarm or a page's stale cache)
+  chrome.runtime.onMessage.addListener(message => {
+    if (message.type === 'SYNC_PROGRESS') {
+      renderSyncProgress(message.sync);
+      if (!message.sync) {
+        refreshSyncStatus();
+        loadSyncHistory();
+      }
+    }
+  });
+
+  // Panel field defaults come from format.js, until the saved settings are loaded
+  panelFieldsInput.value = PANEL_FIELDS.join('\n');
+  document.getElementById('panelFieldsAvailable').textContent = PANEL_FIELDS.join(', ');
 
   // Load current status and settings
   await loadStatus();
+  await loadSyncHistory();
+  await loadManualHoldings();
 
   // Refresh button handler
   refreshBtn.addEventListener('click', async () => {
     setRefreshing(true);
     try {
-      await chrome.runtime.sendMessage({ type: 'FORCE_REFRESH' });
+      const result = await chrome.runtime.sendMessage({ type: 'FORCE_REFRESH' });
+      if (result && result.error && result.error !== 'Sync cancelled') {
+        throw new Error(result.error);
+      }
       await loadStatus();
+      await loadSyncHistory();
     } catch (err) {
       console.error('Refresh failed:', err);
-      alert('Failed to refresh portfolio data. Make sure you are logged in to investing.com.');
+      alert(`Failed to refresh portfolio data: ${err.message}`);
     }
-    setRefreshing(false);
+    renderSyncProgress(null);
+  });
+
+  // Cancel button handler - the running sync stops at its next step
+  cancelSyncBtn.addEventListener('click', async () => {
+    cancelSyncBtn.disabled = true;
+    try {
+      await chrome.runtime.sendMessage({ type: 'CANCEL_SYNC' });
+    } catch (err) {
+      console.error('Cancel failed:', err);
+      cancelSyncBtn.disabled = false;
+    }
+  });
+
+  // Dashboard button handler
+  dashboardBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/dashboard.html') });
   });
 
   // Save button handler
@@ -35,6 +149,15 @@ document.addEventListener('DOMContentLoaded', async () => {
       .split('\n')
       .map(p => p.trim())
       .filter(p => p.length > 0);
+    const baseCurrency = baseCurrencyInput.value.trim().toUpperCase();
+    const exportColumns = exportColumnsInput.value
+      .split('\n')
+      .map(c => c.trim())
+      .filter(c => c.length > 0);
+    const panelFields = panelFieldsInput.value
+      .split('\n')
+      .map(f => f.trim())
+      .filter(f => f.length > 0);
 
     if (cacheDuration < 1 || cacheDuration > 60) {
       alert('Cache duration must be between 1 and 60 minutes.');
@@ -46,13 +169,70 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
+    if (!/^[A-Z]{3}$/.test(baseCurrency)) {
+      alert('Base currency must be a 3-letter ISO code, e.g. USD.');
+      return;
+    }
+
+    if (exportColumns.length === 0) {
+      alert('Please enter at least one export column.');
+      return;
+    }
+
+    const unknownField = panelFields.find(f => !PANEL_FIELDS.includes(f));
+    if (unknownField) {
+      alert(`Unknown panel field "${unknownField}". Available: ${PANEL_FIELDS.join(', ')}.`);
+      return;
+    }
+
+    if (panelFields.length === 0) {
+      alert('Please enter at least one panel field.');
+      return;
+    }
+
+    const priceDecimals = parseInt(priceDecimalsInput.value, 10);
+    if (!(priceDecimals >= 0 && priceDecimals <= 8)) {
+      alert('Decimal places must be between 0 and 8.');
+      return;
+    }
+
+    // Collect portfolio inclusion and group assignments
+    const excludedPortfolioIds = [];
+    const portfolioGroups = {};
+    portfolioListEl.querySelectorAll('.portfolio-row').forEach(row => {
+      const portfolioId = row.dataset.portfolioId;
+      if (!row.querySelector('input[type="checkbox"]').checked) {
+        excludedPortfolioIds.push(portfolioId);
+      }
+      const group = row.querySelector('input[type="text"]').value.trim();
+      if (group) {
+        portfolioGroups[portfolioId] = group;
+      }
+    });
+
     const settings = {
+      ...currentSettings,
       cacheDurationMinutes: cacheDuration,
-      monitoredPaths: paths
+      monitoredPaths: paths,
+      exportColumns,
+      baseCurrency,
+      badgeMetric: badgeMetricInput.value,
+      showListChips: showListChipsInput.checked,
+      panelFields,
+      panelCompact: panelCompactInput.checked,
+      theme: themeInput.value,
+      edition: editionInput.value,
+      numberLocale: numberLocaleInput.value,
+      priceDecimals,
+      currencyDisplay: currencyDisplayInput.value,
+      excludedPortfolioIds,
+      portfolioGroups
     };
 
     try {
       await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', settings });
+      currentSettings = settings;
+      applyTheme(settings.theme);
       saveBtn.textContent = 'Saved!';
       setTimeout(() => {
         saveBtn.textContent = 'Save Settings';
@@ -67,33 +247,29 @@ document.addEventListener('DOMContentLoaded', async () => {
   async function loadStatus() {
     try {
       const status = await chrome.runtime.sendMessage({ type: 'GET_STATUS' });
-
-      // Update last sync display
-      if (status.lastSync) {
-        const date = new Date(status.lastSync);
-        const now = new Date();
-        const diffMs = now - date;
-        const diffMins = Math.floor(diffMs / 1000 / 60);
-
-        if (diffMins < 1) {
-          lastSyncEl.textContent = 'Just now';
-        } else if (diffMins < 60) {
-          lastSyncEl.textContent = `${diffMins} min ago`;
-        } else {
-          const hours = Math.floor(diffMins / 60);
-          lastSyncEl.textContent = `${hours}h ${diffMins % 60}m ago`;
-        }
-      } else {
-        lastSyncEl.textContent = 'Never';
-      }
-
-      // Update holdings count
-      holdingsCountEl.textContent = status.holdingsCount || 0;
+      renderSyncStatus(status);
+      renderSyncProgress(status.sync);
 
       // Update settings inputs
       if (status.settings) {
+        currentSettings = status.settings;
         cacheDurationInput.value = status.settings.cacheDurationMinutes || 10;
         monitoredPathsInput.value = (status.settings.monitoredPaths || []).join('\n');
+        exportColumnsInput.value = (status.settings.exportColumns || []).join('\n');
+        baseCurrencyInput.value = status.settings.baseCurrency || 'USD';
+        badgeMetricInput.value = status.settings.badgeMetric || 'plPercent';
+        showListChipsInput.checked = status.settings.showListChips !== false;
+        panelFieldsInput.value = (status.settings.panelFields || PANEL_FIELDS).join('\n');
+        panelCompactInput.checked = !!status.settings.panelCompact;
+        themeInput.value = status.settings.theme || 'auto';
+        editionInput.value = status.settings.edition || 'www';
+        portfolioLinkEl.href = `${getInvestingOrigin(status.settings.edition)}/portfolio/`;
+        numberLocaleInput.value = status.settings.numberLocale || 'en-US';
+        priceDecimalsInput.value = status.settings.priceDecimals ?? 2;
+        currencyDisplayInput.value = status.settings.currencyDisplay || 'symbol';
+        renderFormatPreview();
+        applyTheme(themeInput.value);
+        renderPortfolioList(status.portfoliosFound || [], status.settings);
       }
     } catch (err) {
       console.error('Failed to load status:', err);
@@ -101,6 +277,218 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // Reload only the sync status, leaving settings being edited untouched
+  async function refreshSyncStatus() {
+    try {
+      renderSyncStatus(await chrome.runtime.sendMessage({ type: 'GET_STATUS' }));
+    } catch (err) {
+      console.error('Failed to load status:', err);
+    }
+  }
+
+  // Show last sync time and holdings count
+  function renderSyncStatus(status) {
+    // Update last sync display
+    if (status.lastSync) {
+      const date = new Date(status.lastSync);
+      const now = new Date();
+      const diffMs = now - date;
+      const diffMins = Math.floor(diffMs / 1000 / 60);
+
+      if (diffMins < 1) {
+        lastSyncEl.textContent = 'Just now';
+      } else if (diffMins < 60) {
+        lastSyncEl.textContent = `${diffMins} min ago`;
+      } else {
+        const hours = Math.floor(diffMins / 60);
+        lastSyncEl.textContent = `${hours}h ${diffMins % 60}m ago`;
+      }
+    } else {
+      lastSyncEl.textContent = 'Never';
+    }
+
+    // Update holdings count
+    holdingsCountEl.textContent = status.holdingsCount || 0;
+
+    renderSessionWarning(status.sessionProblem, status.settings && status.settings.edition);
+    renderCurrencyWarning(status.unknownCurrencies || []);
+  }
+
+  // List holdings whose currency isn't known; they are shown in it as-is and left out of base currency totals
+  function renderCurrencyWarning(unknownCurrencies) {
+    currencyWarningEl.textContent = '';
+    currencyWarningEl.hidden = unknownCurrencies.length === 0;
+    for (const { currency, symbols } of unknownCurrencies) {
+      const line = document.createElement('div');
+      line.textContent = `\u26A0 Unknown currency "${currency}" (${symbols.join(', ')}): not converted to your base currency`;
+      currencyWarningEl.appendChild(line);
+    }
+  }
+
+  // Explain why syncing stopped while signed out of investing.com or stuck at a bot check
+  function renderSessionWarning(sessionProblem, edition) {
+    sessionWarningEl.hidden = !sessionProblem;
+    sessionWarningEl.textContent = '';
+    if (!sessionProblem) return;
+
+    const link = document.createElement('a');
+    link.href = `${getInvestingOrigin(edition)}/portfolio/`;
+    link.target = '_blank';
+    if (sessionProblem.state === 'captcha') {
+      link.textContent = 'Open investing.com';
+      sessionWarningEl.append('investing.com is asking to verify you are human. ', link,
+        ', complete the check, then click Force Refresh. Holdings are from the last successful sync.');
+    } else {
+      link.textContent = 'Sign in to investing.com';
+      sessionWarningEl.append('You are signed out of investing.com. ', link,
+        ', then click Force Refresh. Holdings are from the last successful sync.');
+    }
+  }
+
+  // Load recent sync attempts from background
+  async function loadSyncHistory() {
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'GET_SYNC_HISTORY' });
+      renderSyncHistory(result.history || [], result.failingPortfolios || []);
+    } catch (err) {
+      console.error('Failed to load sync history:', err);
+    }
+  }
+
+  // Render the last syncs, with failed portfolios under each and repeat failures flagged
+  function renderSyncHistory(history, failingPortfolios) {
+    const failingKeys = new Set(failingPortfolios.map(portfolio => `${portfolio.type}:${portfolio.id}`));
+
+    failingPortfoliosEl.textContent = '';
+    failingPortfoliosEl.hidden = failingPortfolios.length === 0;
+    for (const portfolio of failingPortfolios) {
+      const line = document.createElement('div');
+      line.textContent = `\u26A0 ${portfolio.name} failed the last ${portfolio.failures} syncs (${describeOutcome(portfolio)})`;
+      failingPortfoliosEl.appendChild(line);
+    }
+
+    syncHistoryListEl.textContent = '';
+    if (history.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'help-text';
+      empty.textContent = 'No syncs yet.';
+      syncHistoryListEl.appendChild(empty);
+      return;
+    }
+
+    for (const entry of history.slice(0, SYNC_HISTORY_SHOWN)) {
+      const item = document.createElement('li');
+      item.className = 'sync-history-entry';
+
+      const summary = document.createElement('div');
+      summary.className = 'sync-history-summary';
+      const when = document.createElement('span');
+      when.textContent = `${new Date(entry.startedAt).toLocaleString(displayFormat.locale)} \u00B7 ${SYNC_TRIGGER_LABELS[entry.trigger] || entry.trigger}`;
+      const status = document.createElement('span');
+      status.className = `sync-history-status status-${entry.status}`;
+      status.textContent = entry.status;
+      summary.append(when, status);
+      item.appendChild(summary);
+
+      const detail = document.createElement('div');
+      detail.className = 'sync-history-detail';
+      const duration = `${(entry.durationMs / 1000).toFixed(1)}s`;
+      detail.textContent = entry.error
+        ? `${duration} \u00B7 ${entry.error}`
+        : `${duration} \u00B7 ${entry.holdingsCount} holdings`;
+      item.appendChild(detail);
+
+      for (const portfolio of entry.portfolios.filter(p => OUTCOME_LABELS[p.outcome])) {
+        const failure = document.createElement('div');
+        failure.className = 'sync-history-detail';
+        failure.classList.toggle('repeated-failure', failingKeys.has(`${portfolio.type}:${portfolio.id}`));
+        failure.textContent = `${portfolio.name}: ${describeOutcome(portfolio)}`;
+        item.appendChild(failure);
+      }
+
+      syncHistoryListEl.appendChild(item);
+    }
+  }
+
+  // Describe why a portfolio failed to load
+  function describeOutcome(portfolio) {
+    if (portfolio.outcome === 'http-error') return portfolio.detail;
+    const label = OUTCOME_LABELS[portfolio.outcome] || portfolio.outcome;
+    return portfolio.detail ? `${label} (${portfolio.detail})` : label;
+  }
+
+  // Show what the running sync is doing, or hide the progress line when idle
+  function renderSyncProgress(sync) {
+    setRefreshing(!!sync);
+    syncProgressEl.hidden = !sync;
+    if (!sync) return;
+
+    syncProgressTextEl.textContent = describeSyncProgress(sync);
+    cancelSyncBtn.disabled = sync.phase === 'cancelling';
+  }
+
+  // Describe a sync progress update from the background
+  function describeSyncProgress(sync) {
+    const name = sync.portfolioName ? `: ${sync.portfolioName}` : '';
+    switch (sync.phase) {
+      case 'main':
+        return 'Loading portfolio list...';
+      case 'portfolios':
+        return `Portfolio ${sync.current} of ${sync.total}${name}`;
+      case 'watchlists':
+        return `Watchlist ${sync.current} of ${sync.total}${name}`;
+      case 'retry':
+        return `Retry round: ${sync.current} of ${sync.total}${name}`;
+      case 'finishing':
+        return 'Updating rates and history...';
+      case 'cancelling':
+        return 'Cancelling...';
+      default:
+        return 'Refreshing...';
+    }
+  }
+
+  // Render discovered portfolios with include checkbox and group name
+  function renderPortfolioList(portfolios, settings) {
+    if (portfolios.length === 0) return;
+
+    const excluded = settings.excludedPortfolioIds || [];
+    const groups = settings.portfolioGroups || {};
+
+    portfolioListEl.textContent = '';
+    for (const portfolio of portfolios) {
+      const row = document.createElement('div');
+      row.className = 'portfolio-row';
+      row.dataset.portfolioId = portfolio.id;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !excluded.includes(portfolio.id);
+      checkbox.title = 'Include in holdings';
+
+      const name = document.createElement('span');
+      name.className = 'portfolio-name';
+      name.textContent = portfolio.name || portfolio.id;
+
+      const group = document.createElement('input');
+      group.type = 'text';
+      group.placeholder = 'Group';
+      group.value = groups[portfolio.id] || '';
+      group.setAttribute('list', 'groupNames');
+
+      row.append(checkbox, name, group);
+      portfolioListEl.appendChild(row);
+    }
+
+    // Suggest existing group names
+    groupNamesEl.textContent = '';
+    for (const groupName of new Set(Object.values(groups))) {
+      const option = document.createElement('option');
+      option.value = groupName;
+      groupNamesEl.appendChild(option);
+    }
+  }
+
   // Set refreshing state
   function setRefreshing(isRefreshing) {
     refreshBtn.disabled = isRefreshing;
@@ -108,6 +496,140 @@ document.addEventListener('DOMContentLoaded', async () => {
     refreshBtn.querySelector('.btn-loading').hidden = !isRefreshing;
   }
 
+  // Export button handler - background builds the file, popup triggers the download
+  exportBtn.addEventListener('click', async () => {
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'EXPORT_HOLDINGS', format: exportFormatInput.value });
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      const blob = new Blob([result.content], { type: result.mimeType });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = result.filename;
+      link.click();
+      // Revoking right away can cancel the download before Chrome has started it
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (err) {
+      alert('Failed to export holdings: ' + err.message);
+    }
+  });
+
+  // Save the manual holding being added or edited
+  manualHoldingForm.addEventListener('submit', async event => {
+    event.preventDefault();
+    const fields = manualHoldingForm.elements;
+    const holding = {
+      id: fields.id.value || null,
+      symbol: fields.symbol.value,
+      exchange: fields.exchange.value,
+      qty: parseFloat(fields.qty.value),
+      avgPrice: parseFloat(fields.avgPrice.value),
+      currency: fields.currency.value,
+      account: fields.account.value,
+      url: fields.url.value
+    };
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'SAVE_MANUAL_HOLDING', holding });
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      renderManualHoldings(result.manualHoldings);
+      resetManualHoldingForm();
+    } catch (err) {
+      alert('Failed to save manual holding: ' + err.message);
+    }
+  });
+
+  manualHoldingCancelBtn.addEventListener('click', resetManualHoldingForm);
+
+  // Import button handler - the importer needs a full page for its column mapping
+  importCsvBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/import.html') });
+  });
+
+  // Load manual holdings from background
+  async function loadManualHoldings() {
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'GET_MANUAL_HOLDINGS' });
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      renderManualHoldings(result.manualHoldings);
+    } catch (err) {
+      console.error('Failed to load manual holdings:', err);
+    }
+  }
+
+  // List manual holdings, each with edit and delete buttons
+  function renderManualHoldings(manualHoldings) {
+    manualHoldingsListEl.textContent = '';
+    if (manualHoldings.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'help-text';
+      empty.textContent = 'No manual holdings.';
+      manualHoldingsListEl.appendChild(empty);
+      return;
+    }
+
+    for (const holding of manualHoldings) {
+      const item = document.createElement('li');
+      item.className = 'manual-holding';
+
+      const text = document.createElement('span');
+      text.className = 'manual-holding-text';
+      const label = holding.exchange ? `${holding.symbol} (${holding.exchange})` : holding.symbol;
+      text.textContent = `${label} \u00B7 ${formatQuantity(holding.qty)} @ ${formatUnitPrice(holding.avgPrice, holding.currency)}` +
+        (holding.account ? ` \u00B7 ${holding.account}` : '');
+
+      const editButton = document.createElement('button');
+      editButton.type = 'button';
+      editButton.textContent = 'Edit';
+      editButton.addEventListener('click', () => editManualHolding(holding));
+
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', async () => {
+        if (!confirm(`Delete manual holding ${label}?`)) return;
+        try {
+          const result = await chrome.runtime.sendMessage({ type: 'DELETE_MANUAL_HOLDING', id: holding.id });
+          if (result.error) {
+            throw new Error(result.error);
+          }
+          renderManualHoldings(result.manualHoldings);
+          if (manualHoldingForm.elements.id.value === holding.id) {
+            resetManualHoldingForm();
+          }
+        } catch (err) {
+          alert('Failed to delete manual holding: ' + err.message);
+        }
+      });
+
+      item.append(text, editButton, deleteButton);
+      manualHoldingsListEl.appendChild(item);
+    }
+  }
+
+  // Fill the form with a manual holding to edit it
+  function editManualHolding(holding) {
+    const fields = manualHoldingForm.elements;
+    for (const name of ['id', 'symbol', 'exchange', 'qty', 'avgPrice', 'currency', 'account']) {
+      fields[name].value = holding[name] ?? '';
+    }
+    fields.url.value = holding.url ? `${holding.url}${holding.pairId ? `?cid=${holding.pairId}` : ''}` : '';
+    manualHoldingSaveBtn.textContent = 'Save Holding';
+    manualHoldingCancelBtn.hidden = false;
+  }
+
+  // Empty the form for adding a new manual holding
+  function resetManualHoldingForm() {
+    manualHoldingForm.reset();
+    manualHoldingForm.elements.id.value = '';
+    manualHoldingSaveBtn.textContent = 'Add Holding';
+    manualHoldingCancelBtn.hidden = true;
+  }
+
   // Debug button handler
   debugBtn.addEventListener('click', async () => {
     try {
@@ -122,13 +644,15 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Clear data button handler
   clearBtn.addEventListener('click', async () => {
-    if (!confirm('Clear all portfolio data and settings?')) {
+    if (!confirm('Clear all portfolio data, manual holdings and settings?')) {
       return;
     }
     try {
       await chrome.runtime.sendMessage({ type: 'CLEAR_ALL_DATA' });
       debugOutput.style.display = 'none';
       await loadStatus();
+      await loadSyncHistory();
+      await loadManualHoldings();
       clearBtn.textContent = 'Cleared!';
       setTimeout(() => {
         clearBtn.textContent = 'Clear All Data';
@@ -0,0 +1,46 @@
+// Portfolio Overlay Theme
+// Styles the panel, watchlist badge and list chips light or dark. On auto they follow
+// investing.com's own theme, including when it is switched while the page is open.
+
+// Attribute on <html> that content.css keys the overlay colors on
+const THEME_ATTRIBUTE = 'data-portfolio-overlay-theme';
+
+let themeSetting = 'auto';
+let siteThemeObserver = null;
+
+// Apply the theme setting ('auto', 'light' or 'dark') and start following the site's theme
+function setupTheme(setting) {
+  themeSetting = setting || 'auto';
+  applyTheme();
+
+  if (!siteThemeObserver) {
+    // Only the attributes the site switches themes with, so setting our own attribute doesn't loop
+    siteThemeObserver = new MutationObserver(applyTheme);
+    const options = { attributes: true, attributeFilter: ['class', 'data-theme', 'data-color-scheme', 'style'] };
+    siteThemeObserver.observe(document.documentElement, options);
+    siteThemeObserver.observe(document.body, options);
+  }
+}
+
+// Put the theme in effect on the page root
+function applyTheme() {
+  const theme = themeSetting === 'auto' ? (isSiteDark() ? 'dark' : 'light') : themeSetting;
+  if (document.documentElement.getAttribute(THEME_ATTRIBUTE) !== theme) {
+    document.documentElement.setAttribute(THEME_ATTRIBUTE, theme);
+  }
+}
+
+// Whether investing.com is showing its dark theme
+function isSiteDark() {
+  for (const el of [document.documentElement, document.body]) {
+    const theme = el.getAttribute('data-theme') || el.getAttribute('data-color-scheme');
+    if (theme) return /dark/i.test(theme);
+    if (/(^|[\s_-])dark([\s_-]|$)/i.test(el.getAttribute('class') || '')) return true;
+  }
+
+  // No marker: judge by how dark the page background is
+  const background = getComputedStyle(document.body).backgroundColor.match(/[\d.]+/g);
+  if (!background || (background.length === 4 && Number(background[3]) === 0)) return false;
+  const [r, g, b] = background.map(Number);
+  return (0.299 * r + 0.587 * g + 0.114 * b) < 128;
+}
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, plain } = require('./helpers/load-extension');
+
+const { background } = loadExtension();
+
+// A parsed holding as the offscreen parser returns it
+function parsedHolding(symbol, exchange, qty, avgPrice, totalValue, extra = {}) {
+  return {
+    symbol,
+    exchange,
+    name: symbol,
+    pairId: extra.pairId || '',
+    qty,
+    avgPrice,
+    totalValue,
+    currency: '$',
+    url: `/equities/${symbol.toLowerCase()}`,
+    lots: [{ openTime: '1700000000', qty, openPrice: avgPrice, commission: 0 }],
+    ...extra
+  };
+}
+
+test('decodeHtmlEntities decodes named, hex and decimal entities', () => {
+  assert.equal(background.decodeHtmlEntities('Kids &amp; Family'), 'Kids & Family');
+  assert.equal(background.decodeHtmlEntities('&#x20ac;'), '€');
+  assert.equal(background.decodeHtmlEntities('&#X20AC;'), '€');
+  assert.equal(background.decodeHtmlEntities('&pound;'), '£');
+  assert.equal(background.decodeHtmlEntities('&#8364;'), '€');
+  assert.equal(background.decodeHtmlEntities('&#x20b9;'), '₹');
+  assert.equal(background.decodeHtmlEntities('&lt;b&gt; &quot;x&quot; &#39;y&#39;'), '<b> "x" \'y\'');
+  assert.equal(background.decodeHtmlEntities(''), '');
+  assert.equal(background.decodeHtmlEntities(undefined), undefined);
+});
+
+test('findMatch prefers symbol:exchange, then symbol, then pairId or ISIN', () => {
+  const portfolioData = {
+    'AAPL:NASDAQ': parsedHolding('AAPL', 'NASDAQ', 10, 150, 1900, { pairId: '6408' }),
+    'AAPL:Mexico': parsedHolding('AAPL', 'Mexico', 3, 170, 570, { pairId: '100' }),
+    SAP: parsedHolding('SAP', '', 5, 120, 600, { pairId: '359', isin: 'DE0007164600' })
+  };
+
+  assert.equal(background.findMatch(portfolioData, 'AAPL', 'Mexico').qty, 3);
+  assert.equal(background.findMatch(portfolioData, 'AAPL', 'NASDAQ').qty, 10);
+  assert.equal(background.findMatch(portfolioData, 'SAP', 'Xetra').qty, 5);
+  assert.equal(background.findMatch(portfolioData, 'AAPL', 'London', null, '100').exchange, 'Mexico');
+  assert.equal(background.findMatch(portfolioData, 'SAPG', 'Xetra', 'DE0007164600').symbol, 'SAP');
+  assert.equal(background.findMatch(portfolioData, 'MSFT', 'NASDAQ', null, '252'), null);
+  assert.equal(background.findMatch({}, 'AAPL', 'NASDAQ'), null);
+});
+
+test('findMatch falls back to the asset page URL, and to the symbol on pages without an exchange', () => {
+  const portfolioData = {
+    'BTC:Binance': parsedHolding('BTC', 'Binance', 0.5, 40000, 30000, { url: '/crypto/bitcoin', assetType: 'crypto' }),
+    'AAPL:NASDAQ': parsedHolding('AAPL', 'NASDAQ', 10, 150, 1900)
+  };
+
+  assert.equal(background.findMatch(portfolioData, 'BTC', null).exchange, 'Binance');
+  assert.equal(background.findMatch(portfolioData, 'XBT', null, null, null, '/crypto/bitcoin').symbol, 'BTC');
+  assert.equal(background.findMatch(portfolioData, 'BTC', 'Coinbase'), null);
+});
+
+test('findMatch combines a coin held on several exchanges, and only falls back to the symbol for crypto', () => {
+  const portfolioData = {
+    'BTC:Binance': parsedHolding('BTC', 'Binance', 0.5, 40000, 30000, { url: '/crypto/bitcoin', assetType: 'crypto', portfolios: [{ portfolioId: '1' }] }),
+    'BTC:Coinbase': parsedHolding('BTC', 'Coinbase', 1.5, 60000, 90000, { url: '/crypto/bitcoin', assetType: 'crypto', portfolios: [{ portfolioId: '2' }] }),
+    'GOLD:NYSE': parsedHolding('GOLD', 'NYSE', 10, 20, 180)
+  };
+
+  const coin = background.findMatch(portfolioData, 'BTC', null, null, null, '/crypto/bitcoin');
+  assert.deepEqual([coin.qty, coin.avgPrice, coin.totalValue, coin.portfolios.length, coin.lots.length], [2, 55000, 120000, 2, 2]);
+  // An index or commodity page without an exchange doesn't match a stock with the same ticker
+  assert.equal(background.findMatch(portfolioData, 'GOLD', null, null, null, '/commodities/gold'), null);
+});
+
+test('mergePortfolioData combines portfolios and keeps per-portfolio contributions and lots', () => {
+  const newPortfolioData = {};
+  const debugInfo = { holdingsPerPortfolio: {} };
+  const taxable = { numericId: '101', publicId: 'tx==', name: 'Taxable' };
+  const ira = { numericId: '102', publicId: 'ira+1', name: 'IRA' };
+
+  background.mergePortfolioData(newPortfolioData, debugInfo, taxable, 'url-101', {
+    'AAPL:NASDAQ': parsedHolding('AAPL', 'NASDAQ', 10, 150, 1900)
+  }, '101', '101');
+  background.mergePortfolioData(newPortfolioData, debugInfo, ira, 'url-102', {
+    'AAPL:NASDAQ': parsedHolding('AAPL', 'NASDAQ', 30, 110, 5700),
+    'VOD:London': parsedHolding('VOD', 'London', 1000, 0.95, 712.4, { currency: '£' })
+  }, '102', '102');
+
+  const apple = plain(newPortfolioData['AAPL:NASDAQ']);
+  assert.equal(apple.qty, 40);
+  assert.equal(apple.avgPrice, 120);
+  assert.equal(apple.totalValue, 7600);
+  assert.deepEqual(apple.portfolios, [
+    { portfolioId: '101', portfolioName: 'Taxable', qty: 10, avgPrice: 150, totalValue: 1900 },
+    { portfolioId: '102', portfolioName: 'IRA', qty: 30, avgPrice: 110, totalValue: 5700 }
+  ]);
+  assert.deepEqual(apple.lots.map(lot => [lot.portfolioName, lot.qty]), [['Taxable', 10], ['IRA', 30]]);
+  assert.equal(newPortfolioData['VOD:London'].currency, '£');
+
+  assert.deepEqual(plain(debugInfo.holdingsPerPortfolio.IRA), {
+    fetchedUrl: 'url-102',
+    publicId: 'ira+1',
+    expectedId: '102',
+    selectedId: '102',
+    isCorrectPortfolio: true,
+    holdingCount: 2,
+    holdings: [
+      { symbol: 'AAPL', exchange: 'NASDAQ', qty: 30 },
+      { symbol: 'VOD', exchange: 'London', qty: 1000 }
+    ]
+  });
+});
+
+test('unknown currencies are reported instead of being treated as USD', () => {
+  assert.equal(background.getCurrencyCode('&euro;'), 'EUR');
+  assert.equal(background.getCurrencyCode('CZK'), 'CZK');
+  assert.equal(background.getCurrencyCode('Kč'), null);
+  assert.equal(background.convertToBase(100, 'Kč', 'USD', { CZK: { rate: 0.04 } }), null);
+
+  const portfolioData = {
+    'AAPL:NASDAQ': parsedHolding('AAPL', 'NASDAQ', 10, 150, 1900),
+    'CEZ:Prague': parsedHolding('CEZ', 'Prague', 20, 900, 19000, { currency: 'Kč' }),
+    'KOMB:Prague': parsedHolding('KOMB', 'Prague', 5, 800, 4200, { currency: 'Kč' })
+  };
+  assert.deepEqual(plain(background.getUnknownCurrencies(portfolioData)), [{ currency: 'Kč', symbols: ['CEZ', 'KOMB'] }]);
+});
+
+test('exports round to the configured decimals and show currencies as symbol or ISO code', async () => {
+  const { env, background: exporter } = loadExtension();
+  env.store.portfolioData = {
+    'SAP:Xetra': parsedHolding('SAP', 'Xetra', 4, 123.456789, 501.2345, { currency: '&euro;' }),
+    'CEZ:Prague': parsedHolding('CEZ', 'Prague', 20, 900, 19000, { currency: 'Kč' })
+  };
+  env.store.settings = { exportColumns: ['symbol', 'currency', 'avgPrice', 'totalValue'], priceDecimals: 4, currencyDisplay: 'code' };
+
+  const json = JSON.parse((await exporter.exportHoldings('json')).content);
+  assert.deepEqual(json, [
+    { symbol: 'SAP', currency: 'EUR', avgPrice: 123.4568, totalValue: 501.2345 },
+    { symbol: 'CEZ', currency: 'Kč', avgPrice: 900, totalValue: 19000 }
+  ]);
+
+  env.store.settings = { exportColumns: ['symbol', 'currency', 'avgPrice'] };
+  const csv = (await exporter.exportHoldings('csv')).content;
+  assert.equal(csv, '﻿symbol,currency,avgPrice\r\nSAP,€,123.46\r\nCEZ,Kč,900');
+});
+
+test('exported asset page links point to the investing.com edition chosen in settings', async () => {
+  const { env, background: exporter } = loadExtension();
+  env.store.portfolioData = { 'SAP:Xetra': parsedHolding('SAP', 'Xetra', 4, 120, 480) };
+  env.store.settings = { exportColumns: ['symbol', 'url'], edition: 'de' };
+
+  const json = JSON.parse((await exporter.exportHoldings('json')).content);
+  assert.deepEqual(json, [{ symbol: 'SAP', url: 'https://de.investing.com/equities/sap' }]);
+});
+
+test('imported positions replace the account\'s earlier import and bring their lots to the panel data', async () => {
+  const { env, background: importer } = loadExtension();
+  env.store.lastSync = Date.now();
+  env.store.portfolioData = { 'SAP:Xetra': parsedHolding('SAP', 'Xetra', 4, 100, 480, { currency: '&euro;' }) };
+  env.store.manualHoldings = [
+    { id: 'a', symbol: 'MSFT', exchange: 'NASDAQ', qty: 1, avgPrice: 300, currency: 'USD', account: 'IBKR', lots: [] },
+    { id: 'b', symbol: 'NOVN', exchange: 'Swiss', qty: 2, avgPrice: 90, currency: 'CHF', account: 'Other', lots: [] }
+  ];
+  const lots = [{ openTime: '2024-01-05', qty: 6, openPrice: 110, commission: 2 }];
+
+  const rejected = await env.sendMessage({
+    type: 'IMPORT_MANUAL_HOLDINGS',
+    account: 'IBKR',
+    replace: true,
+    holdings: [{ symbol: 'SAP', exchange: 'Xetra', qty: 6, avgPrice: 110, currency: 'USD', lots }]
+  });
+  assert.match(rejected.error, /^SAP: SAP:Xetra is held on investing.com in €/);
+  assert.equal(env.store.manualHoldings.length, 2);
+
+  // Currencies must also agree with other accounts' manual holdings and within the import
+  const clashing = await env.sendMessage({
+    type: 'IMPORT_MANUAL_HOLDINGS',
+    account: 'IBKR',
+    replace: true,
+    holdings: [
+      { symbol: 'NOVN', exchange: 'Swiss', qty: 1, avgPrice: 95, currency: 'EUR', lots: [] },
+      { symbol: 'ASML', exchange: 'Amsterdam', qty: 1, avgPrice: 600, currency: 'EUR', lots: [] },
+      { symbol: 'ASML', exchange: 'Amsterdam', qty: 1, avgPrice: 650, currency: 'USD', lots: [] }
+    ]
+  });
+  assert.deepEqual(clashing.error.split('\n'), [
+    'NOVN: NOVN:Swiss is already entered as a manual holding in CHF; enter its price in that currency',
+    'ASML: ASML:Amsterdam is already entered as a manual holding in EUR; enter its price in that currency'
+  ]);
+  assert.equal(env.store.manualHoldings.length, 2);
+
+  const response = await env.sendMessage({
+    type: 'IMPORT_MANUAL_HOLDINGS',
+    account: 'IBKR',
+    replace: true,
+    holdings: [{ symbol: 'SAP', exchange: 'Xetra', qty: 6, avgPrice: 110, currency: 'EUR', lots }]
+  });
+  assert.deepEqual(plain(response.manualHoldings.map(h => [h.symbol, h.account])), [['NOVN', 'Other'], ['SAP', 'IBKR']]);
+
+  const sap = await importer.getPortfolioData();
+  const holding = sap.portfolioData['SAP:Xetra'];
+  assert.equal(holding.qty, 10);
+  assert.equal(holding.totalValue, 480 + 6 * 120);
+  assert.deepEqual(plain(holding.lots.map(lot => [lot.qty, lot.openPrice])), [[4, 100], [6, 110]]);
+  assert.equal(holding.lots[1].portfolioName, 'IBKR');
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { runScripts, plain } = require('./helpers/load-extension');
+
+const context = runScripts(['src/format.js', 'src/csv-import.js'], {});
+// Top-level consts aren't properties of the context, so they are read through it
+const BROKER_PRESETS = vm.runInContext('BROKER_PRESETS', context);
+
+// Map, read and replay a CSV export the way the import page does with its guessed layout
+function importCsv(text, defaultCurrency = 'USD') {
+  const csv = context.parseCsv(text);
+  const preset = BROKER_PRESETS[context.detectPreset(csv.headers)];
+  const mapping = context.guessMapping(csv.headers, preset);
+  const { transactions, skipped } = context.readTransactions(csv.rows, mapping, preset, defaultCurrency);
+  return { preset: preset.name, skipped: plain(skipped), ...plain(context.buildPositions(transactions)) };
+}
+
+test('parseCsv handles quoted values, semicolons and a byte order mark', () => {
+  const csv = context.parseCsv('\uFEFFDate;Symbol;Note\r\n2024-01-05;SAP;"Kauf; ""Tranche"" 1"\r\n\r\n');
+  assert.equal(csv.delimiter, ';');
+  assert.deepEqual(plain(csv.headers), ['Date', 'Symbol', 'Note']);
+  assert.deepEqual(plain(csv.rows), [['2024-01-05', 'SAP', 'Kauf; "Tranche" 1']]);
+});
+
+test('a Schwab export is recognised and replayed into FIFO lots', () => {
+  const result = importCsv([
+    'Date,Action,Symbol,Description,Quantity,Price,Fees & Comm,Amount',
+    '01/05/2024,Buy,AAPL,APPLE INC,10,$150.00,$1.00,-$1501.00',
+    '02/10/2024,Buy,AAPL,APPLE INC,5,$180.00,,-$900.00',
+    '03/01/2024,Qualified Dividend,AAPL,APPLE INC,,,,$2.40',
+    '03/15/2024,Sell,AAPL,APPLE INC,12,$190.00,$1.00,$2279.00',
+    '04/02/2024 as of 04/01/2024,Buy,MSFT,MICROSOFT CORP,2,$400.00,,-$800.00'
+  ].join('\n'));
+
+  assert.equal(result.preset, 'Charles Schwab');
+  assert.deepEqual(result.positions.map(p => [p.symbol, p.currency, p.qty, p.avgPrice]), [['AAPL', 'USD', 3, 180], ['MSFT', 'USD', 2, 400]]);
+  // The 10 bought in January were sold first; 3 of the February lot remain
+  assert.deepEqual(result.positions[0].lots, [{ openTime: '2024-02-10', qty: 3, openPrice: 180, commission: 0 }]);
+  assert.deepEqual(result.skipped, [{ line: 4, symbol: 'AAPL', reason: 'not a buy or sell (Qualified Dividend)' }]);
+  assert.deepEqual(result.problems, []);
+});
+
+test('an Interactive Brokers export takes sells from negative quantities and flags overselling', () => {
+  const result = importCsv([
+    'Symbol,Date/Time,Quantity,T. Price,Comm/Fee,Currency',
+    'SAP,"2024-01-05, 10:15:00",20,120.5,-4,EUR',
+    'SAP,"2024-03-01, 09:00:00",-5,140,-4,EUR',
+    'VOD,"2024-02-01, 11:00:00",-100,0.7,-1,GBP'
+  ].join('\n'));
+
+  assert.equal(result.preset, 'Interactive Brokers');
+  assert.deepEqual(result.positions.map(p => [p.symbol, p.currency, p.qty]), [['SAP', 'EUR', 15]]);
+  assert.equal(result.positions[0].lots[0].commission, 3);
+  assert.equal(result.problems.length, 1);
+  assert.match(result.problems[0].message, /sells 100 more than was bought/);
+});
+
+test('dates and sides are read in the formats brokers write them', () => {
+  assert.equal(context.parseTradeDate('05.01.2024', 'dmy'), '2024-01-05');
+  assert.equal(context.parseTradeDate('01/05/2024', 'mdy'), '2024-01-05');
+  assert.equal(context.parseTradeDate('25/01/24', 'mdy'), '2024-01-25');
+  assert.equal(context.parseTradeDate('20240105', 'ymd'), '2024-01-05');
+  assert.equal(context.parseTradeDate('pending', 'ymd'), null);
+
+  assert.equal(context.guessDateOrder(['05/03/2024', '25/03/2024'], 'mdy'), 'dmy');
+  assert.equal(context.guessDateOrder(['03/05/2024', '03/25/2024'], 'dmy'), 'mdy');
+  assert.equal(context.guessDateOrder(['05/03/2024', '2024-03-06'], 'mdy'), 'mdy');
+
+  assert.equal(context.parseSide('Market buy'), 'buy');
+  assert.equal(context.parseSide('YOU SOLD'), 'sell');
+  assert.equal(context.parseSide('Verkauf'), 'sell');
+  assert.equal(context.parseSide('Deposit'), null);
+});
+
+test('imported symbols are matched to holdings synced from investing.com', () => {
+  const portfolioData = {
+    'SAP:Xetra': { symbol: 'SAP', exchange: 'Xetra', currency: '&euro;', portfolios: [{ portfolioId: '1' }] },
+    'SAP:NYSE': { symbol: 'SAP', exchange: 'NYSE', currency: '$', portfolios: [{ portfolioId: '1' }] },
+    'NOVN:Swiss': { symbol: 'NOVN', exchange: 'Swiss', currency: 'CHF', portfolios: [{ portfolioId: 'manual:1', manual: true }] }
+  };
+
+  assert.deepEqual(plain(context.findKnownInstrument('SAP.DE', 'EUR', portfolioData)), { symbol: 'SAP', exchange: 'Xetra' });
+  assert.deepEqual(plain(context.findKnownInstrument('SAP', 'USD', portfolioData)), { symbol: 'SAP', exchange: 'NYSE' });
+  // Only synced holdings count; an earlier manual entry doesn't vouch for a symbol
+  assert.equal(context.findKnownInstrument('NOVN', 'CHF', portfolioData), null);
+});
+
+test('a European export read with a decimal comma and day-first dates', () => {
+  const csv = context.parseCsv('Date;Symbol;Side;Quantity;Price\n05/03/2024;SAP;Buy;10;1.234,50\n');
+  const preset = { ...BROKER_PRESETS.generic, locale: 'de-DE', dateOrder: 'dmy' };
+  const { transactions } = context.readTransactions(csv.rows, context.guessMapping(csv.headers, preset), preset, 'EUR');
+  assert.deepEqual(plain(transactions.map(t => [t.date, t.price])), [['2024-03-05', 1234.5]]);
+});
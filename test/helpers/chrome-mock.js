@@ -0,0 +1,208 @@
+// In-memory chrome.* environment shared by the extension contexts under test.
+// Covers the APIs the background service worker and offscreen document use.
+
+// Create an event object with addListener/removeListener/hasListener
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener(listener) {
+      listeners.push(listener);
+    },
+    removeListener(listener) {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener(listener) {
+      return listeners.includes(listener);
+    },
+    dispatch(...args) {
+      return listeners.map(listener => listener(...args));
+    }
+  };
+}
+
+// Resolve an API call as a promise, and also call the callback when one is given
+function withCallback(promise, callback) {
+  if (typeof callback === 'function') {
+    promise.then(callback);
+    return undefined;
+  }
+  return promise;
+}
+
+// Create the shared environment: one storage area, alarm table, notification log and message bus
+function createChromeEnvironment(options = {}) {
+  const extensionId = options.extensionId || 'test-extension-id';
+  const store = {};
+  const alarms = {};
+  const notifications = [];
+  const offscreenDocuments = [];
+  const badge = { text: '', color: null, title: null };
+  const contexts = [];
+  const storageChanged = createEvent();
+
+  const storageLocal = {
+    get(keys, callback) {
+      let result = {};
+      if (keys === null || keys === undefined) {
+        result = structuredClone(store);
+      } else if (typeof keys === 'string' || Array.isArray(keys)) {
+        for (const key of [].concat(keys)) {
+          if (key in store) result[key] = structuredClone(store[key]);
+        }
+      } else {
+        for (const [key, fallback] of Object.entries(keys)) {
+          result[key] = key in store ? structuredClone(store[key]) : fallback;
+        }
+      }
+      return withCallback(Promise.resolve(result), callback);
+    },
+    set(items, callback) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: store[key], newValue: structuredClone(value) };
+        store[key] = structuredClone(value);
+      }
+      storageChanged.dispatch(changes, 'local');
+      return withCallback(Promise.resolve(), callback);
+    },
+    remove(keys, callback) {
+      const changes = {};
+      for (const key of [].concat(keys)) {
+        if (key in store) {
+          changes[key] = { oldValue: store[key] };
+          delete store[key];
+        }
+      }
+      storageChanged.dispatch(changes, 'local');
+      return withCallback(Promise.resolve(), callback);
+    },
+    clear(callback) {
+      const changes = {};
+      for (const key of Object.keys(store)) {
+        changes[key] = { oldValue: store[key] };
+        delete store[key];
+      }
+      storageChanged.dispatch(changes, 'local');
+      return withCallback(Promise.resolve(), callback);
+    }
+  };
+
+  // Deliver a message to every other context's onMessage listeners.
+  // Resolves with the first response, or undefined if nobody answers.
+  function deliverMessage(fromContext, message) {
+    const sender = { id: extensionId, url: fromContext.url };
+    const targets = contexts.filter(context => context !== fromContext);
+
+    return new Promise(resolve => {
+      let settled = false;
+      let pending = 0;
+      const respond = response => {
+        if (!settled) {
+          settled = true;
+          resolve(response);
+        }
+      };
+
+      for (const context of targets) {
+        for (const listener of context.chrome.runtime.onMessage.listeners) {
+          const keepOpen = listener(structuredClone(message), sender, respond);
+          if (keepOpen === true) pending++;
+        }
+      }
+
+      if (pending === 0) respond(undefined);
+    });
+  }
+
+  // Create the chrome object for one extension context (service worker, offscreen document, ...)
+  function createChrome(contextName, contextUrl) {
+    const context = { name: contextName, url: contextUrl || `chrome-extension://${extensionId}/${contextName}` };
+
+    context.chrome = {
+      runtime: {
+        id: extensionId,
+        lastError: undefined,
+        onInstalled: createEvent(),
+        onStartup: createEvent(),
+        onMessage: createEvent(),
+        getURL: path => `chrome-extension://${extensionId}/${path.replace(/^\//, '')}`,
+        sendMessage: (message, callback) => withCallback(deliverMessage(context, message), callback),
+        getContexts: async filter => offscreenDocuments
+          .filter(doc => !filter.documentUrls || filter.documentUrls.includes(doc.documentUrl))
+          .map(doc => ({ contextType: 'OFFSCREEN_DOCUMENT', documentUrl: doc.documentUrl }))
+      },
+      storage: {
+        local: storageLocal,
+        onChanged: storageChanged
+      },
+      alarms: {
+        onAlarm: createEvent(),
+        create(name, alarmInfo) {
+          alarms[name] = { name, ...alarmInfo };
+        },
+        get: async name => alarms[name],
+        getAll: async () => Object.values(alarms),
+        clear: async name => {
+          const existed = name in alarms;
+          delete alarms[name];
+          return existed;
+        }
+      },
+      action: {
+        setBadgeText: async details => {
+          badge.text = details.text;
+        },
+        setBadgeBackgroundColor: async details => {
+          badge.color = details.color;
+        },
+        setTitle: async details => {
+          badge.title = details.title;
+        }
+      },
+      notifications: {
+        onClicked: createEvent(),
+        create(notificationId, notificationOptions, callback) {
+          notifications.push({ id: notificationId, ...notificationOptions });
+          return withCallback(Promise.resolve(notificationId), callback);
+        },
+        clear: async notificationId => {
+          const index = notifications.findIndex(n => n.id === notificationId);
+          if (index !== -1) notifications.splice(index, 1);
+          return index !== -1;
+        }
+      },
+      offscreen: {
+        createDocument: async parameters => {
+          const documentUrl = context.chrome.runtime.getURL(parameters.url);
+          if (offscreenDocuments.some(doc => doc.documentUrl === documentUrl)) {
+            throw new Error('Only a single offscreen document may be created.');
+          }
+          offscreenDocuments.push({ documentUrl, ...parameters });
+        },
+        closeDocument: async () => {
+          offscreenDocuments.length = 0;
+        }
+      }
+    };
+
+    contexts.push(context);
+    return context.chrome;
+  }
+
+  // Fire an alarm as Chrome would when it comes due
+  function fireAlarm(name) {
+    const alarm = alarms[name] || { name };
+    return Promise.all(contexts.flatMap(context => context.chrome.alarms.onAlarm.dispatch(alarm)));
+  }
+
+  // Send a message as if it came from a context outside the extension pages under test (e.g. the popup)
+  function sendMessage(message) {
+    return deliverMessage({ url: `chrome-extension://${extensionId}/src/popup.html` }, message);
+  }
+
+  return { store, alarms, notifications, offscreenDocuments, badge, createChrome, fireAlarm, sendMessage };
+}
+
+module.exports = { createChromeEnvironment };
@@ -0,0 +1,136 @@
+// Loads the extension's scripts into isolated vm contexts wired to the chrome.* mock,
+// with investing.com requests routed to a local fake server serving recorded fixtures.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { createChromeEnvironment } = require('./chrome-mock');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+// Any investing.com edition (www., de., uk., ...)
+const INVESTING_ORIGIN = /^https:\/\/[a-z]+\.investing\.com/;
+
+// Read a recorded page from test/fixtures
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+// Default routes: path (plus query) -> fixture file. The Kids portfolio always
+// redirects back to the Taxable tab, like the mismatch described in the README.
+function defaultRoutes() {
+  return {
+    '/portfolio/': 'portfolio-main.html',
+    '/portfolio/?portfolioID=tx%3D%3D': 'portfolio-taxable.html',
+    '/portfolio/?portfolioID=ira%2B1': 'portfolio-ira.html',
+    '/portfolio/?portfolioID=kids': 'portfolio-taxable.html',
+    '/portfolio/?portfolioID=ideas': 'portfolio-watchlist.html',
+    '/currencies/eur-usd': 'currency-eur-usd.html',
+    '/currencies/usd-gbp': 'currency-usd-gbp.html'
+  };
+}
+
+// Start a local server standing in for investing.com. Routes can be changed between requests;
+// a route may be a fixture name or a { status, body } object.
+async function startFakeInvesting(routes = defaultRoutes()) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end('<html><body>Not found</body></html>');
+      return;
+    }
+    const { status = 200, body } = typeof route === 'string' ? { body: readFixture(route) } : route;
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(body);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    origin,
+    routes,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Run source files from the repo in a fresh vm context with the given globals
+function runScripts(files, globals) {
+  const context = vm.createContext({
+    console,
+    URL,
+    URLSearchParams,
+    AbortController,
+    structuredClone,
+    setTimeout,
+    clearTimeout,
+    ...globals
+  });
+  for (const file of files) {
+    runScript(file, context);
+  }
+  return context;
+}
+
+// Run one source file from the repo in an existing vm context
+function runScript(file, context) {
+  vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), context, { filename: file });
+}
+
+// Load the offscreen parser with jsdom's DOMParser
+function loadOffscreen(chrome) {
+  const { window } = new JSDOM('');
+  return runScripts(['src/format.js', 'src/offscreen.js'], {
+    chrome: chrome || { runtime: { onMessage: { addListener() {} } } },
+    DOMParser: window.DOMParser
+  });
+}
+
+// Load the background service worker and offscreen document against a shared chrome mock.
+// Retry delays are skipped so a full sync with mismatched portfolios finishes quickly.
+// fetchedUrls lists every investing.com URL requested, before it is routed to the fake server.
+function loadExtension({ server } = {}) {
+  const env = createChromeEnvironment();
+  const fetchedUrls = [];
+
+  const fetchThroughFakeServer = (url, options) => {
+    const target = String(url);
+    if (server && INVESTING_ORIGIN.test(target)) {
+      fetchedUrls.push(target);
+      return fetch(server.origin + target.replace(INVESTING_ORIGIN, ''), options);
+    }
+    return Promise.reject(new TypeError(`Unexpected network request in test: ${target}`));
+  };
+
+  const offscreen = loadOffscreen(env.createChrome('src/offscreen.html'));
+  const background = runScripts([], {
+    chrome: env.createChrome('service-worker'),
+    fetch: fetchThroughFakeServer,
+    setTimeout: (callback, delay, ...args) => setTimeout(callback, 0, ...args)
+  });
+  // The service worker's importScripts resolves paths next to background.js
+  background.importScripts = (...files) => files.forEach(file => runScript(path.posix.join('src', file), background));
+  runScript('src/background.js', background);
+
+  return { env, background, offscreen, fetchedUrls };
+}
+
+// Start the fake investing.com server for a test (closed when it ends) and load the extension against it
+async function setup(t) {
+  const server = await startFakeInvesting();
+  t.after(() => server.close());
+  return { server, ...loadExtension({ server }) };
+}
+
+// Copy a value created in a vm context into this realm so deepStrictEqual compares plain data
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { readFixture, defaultRoutes, startFakeInvesting, runScripts, loadOffscreen, loadExtension, setup, plain };
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { runScripts } = require('./helpers/load-extension');
+
+const PORTFOLIO_DATA = {
+  'AAPL:NASDAQ': { symbol: 'AAPL', exchange: 'NASDAQ', pairId: '6408', qty: 15, avgPrice: 160, totalValue: 2850, url: '/equities/apple-computer-inc', currency: '$' },
+  'SAP:Xetra': { symbol: 'SAP', exchange: 'Xetra', pairId: '355', qty: 4, avgPrice: 200, totalValue: 720, url: '/equities/sap-ag', currency: '€' }
+};
+
+// Load the content-side chip scripts into a jsdom page with the given table markup
+function loadListPage(body, portfolioData = PORTFOLIO_DATA) {
+  const { window } = new JSDOM(`<!DOCTYPE html><body>${body}</body>`, { url: 'https://www.investing.com/indices/us-spx-500-components' });
+  const chrome = { runtime: { sendMessage: async () => ({ portfolioData }) } };
+  const context = runScripts(['src/format.js', 'src/list-chips.js'], {
+    chrome,
+    document: window.document,
+    location: window.location,
+    MutationObserver: window.MutationObserver
+  });
+  return { window, context, chrome };
+}
+
+test('held rows get a qty and P/L chip matched by pair ID or asset link', async () => {
+  const { window, context } = loadListPage(`
+    <table>
+      <tr id="pair_6408"><td><a href="/equities/apple-computer-inc">Apple</a></td></tr>
+      <tr><td><a href="https://www.investing.com/equities/sap-ag">SAP</a></td></tr>
+      <tr data-pair-id="8274"><td><a href="/equities/microsoft-corp">Microsoft</a></td></tr>
+      <tr><td><a href="/equities/sap-ag?cid=99999">SAP (other exchange)</a></td></tr>
+    </table>`);
+
+  await context.scanForListChips();
+
+  const chips = Array.from(window.document.querySelectorAll('.portfolio-overlay-chip'));
+  assert.deepEqual(chips.map(chip => chip.textContent), ['15 · +18.8%', '4 · -10.0%']);
+  assert.equal(chips[0].previousElementSibling.textContent, 'Apple');
+  assert.match(chips[1].title, /SAP \(Xetra\): 4 held/);
+  context.removeListChips();
+});
+
+test('rows are only marked once and chips are removed when turned off', async () => {
+  const { window, context } = loadListPage(`
+    <table><tr data-pair-id="6408"><td>AAPL</td></tr></table>`);
+
+  await context.scanForListChips();
+  await context.scanForListChips();
+  assert.equal(window.document.querySelectorAll('.portfolio-overlay-chip').length, 1);
+
+  context.removeListChips();
+  assert.equal(window.document.querySelectorAll('.portfolio-overlay-chip').length, 0);
+});
+
+test('a row whose pair ID is unknown falls back to its asset link, and rows without one are marked too', async () => {
+  const portfolioData = {
+    ...PORTFOLIO_DATA,
+    'NOVN:Swiss': { symbol: 'NOVN', exchange: 'Swiss', pairId: '', qty: 2, avgPrice: 90, totalValue: null, url: '/equities/novartis', currency: 'CHF' }
+  };
+  const { window, context } = loadListPage(`
+    <table>
+      <tr><th>Name</th></tr>
+      <tr data-pair-id="26490"><td><a href="/equities/novartis">Novartis</a></td></tr>
+    </table>`, portfolioData);
+
+  await context.scanForListChips();
+
+  assert.deepEqual(Array.from(window.document.querySelectorAll('.portfolio-overlay-chip')).map(chip => chip.textContent), ['2']);
+  assert.equal(window.document.querySelectorAll('tr:not([data-portfolio-overlay-chip])').length, 0);
+  context.removeListChips();
+});
+
+test('chips are redrawn from fresh holdings after a sync', async () => {
+  const { window, context, chrome } = loadListPage(`
+    <table><tr data-pair-id="6408"><td>AAPL</td></tr></table>`);
+
+  context.setupListChips();
+  await context.scanForListChips();
+  assert.equal(window.document.querySelector('.portfolio-overlay-chip').textContent, '15 · +18.8%');
+
+  chrome.runtime.sendMessage = async () => ({ portfolioData: { 'AAPL:NASDAQ': { ...PORTFOLIO_DATA['AAPL:NASDAQ'], qty: 20, totalValue: 3800 } } });
+  context.refreshListChips();
+  await context.scanForListChips();
+  assert.deepEqual(Array.from(window.document.querySelectorAll('.portfolio-overlay-chip')).map(chip => chip.textContent), ['20 · +18.8%']);
+  context.removeListChips();
+});
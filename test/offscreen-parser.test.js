@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadOffscreen, readFixture, plain } = require('./helpers/load-extension');
+
+const offscreen = loadOffscreen();
+
+test('parseMoneyValue handles symbols, thousands separators and K/M/B suffixes', () => {
+  assert.equal(offscreen.parseMoneyValue('$173,982.64'), 173982.64);
+  assert.equal(offscreen.parseMoneyValue('$51.17K'), 51170);
+  assert.equal(offscreen.parseMoneyValue('€1.2M'), 1200000);
+  assert.equal(offscreen.parseMoneyValue('£712.40'), 712.4);
+  assert.equal(offscreen.parseMoneyValue('¥3.5b'), 3500000000);
+  assert.equal(offscreen.parseMoneyValue(''), 0);
+  assert.equal(offscreen.parseMoneyValue(null), 0);
+  assert.equal(offscreen.parseMoneyValue('-'), 0);
+});
+
+test('parseMoneyValue keeps the sign of negative values written before the currency', () => {
+  assert.equal(offscreen.parseMoneyValue('-$1,234.56'), -1234.56);
+  assert.equal(offscreen.parseMoneyValue('-€1.2M'), -1200000);
+  assert.equal(offscreen.parseMoneyValue('\u2212£712.40'), -712.4);
+  assert.equal(offscreen.parseMoneyValue('-1.234,56 €', 'de'), -1234.56);
+  assert.equal(offscreen.parseMoneyValue('- CHF 12.50', 'de-CH'), -12.5);
+  assert.equal(offscreen.parseMoneyValue('$-5.25'), -5.25);
+});
+
+test('parseMoneyValue reads decimal commas and localized suffixes of regional editions', () => {
+  assert.equal(offscreen.parseMoneyValue('1.234,56 €', 'de'), 1234.56);
+  assert.equal(offscreen.parseMoneyValue('1,2 Mio. €', 'de'), 1200000);
+  assert.equal(offscreen.parseMoneyValue('3,4 Mrd.', 'de'), 3400000000);
+  assert.equal(offscreen.parseMoneyValue('12 345,5 €', 'fr'), 12345.5);
+  assert.equal(offscreen.parseMoneyValue("CHF 1'234.50", 'de-CH'), 1234.5);
+  assert.equal(offscreen.parseMoneyValue('2,5 млн', 'ru'), 2500000);
+  // A lone separator before three digits is a thousands separator unless it is the locale's decimal
+  assert.equal(offscreen.parseMoneyValue('1.234', 'de'), 1234);
+  assert.equal(offscreen.parseMoneyValue('1,234', 'de'), 1.234);
+  assert.equal(offscreen.parseMoneyValue('1,234'), 1234);
+  assert.equal(offscreen.parseMoneyValue('100 MXN'), 100);
+});
+
+test('pages from a regional edition are parsed in the language they declare', () => {
+  const { holdings, watchlistItems } = plain(offscreen.parsePortfolioPage(`
+    <html lang="de"><body><table><tbody>
+    <tr class="openPositionTR" data-pair-id="355" data-amount="10" data-open-price="150.5" data-open-time="1700000000" data-commission-cur="&euro;">
+      <td data-column-name="sum_pos_fpb_symbols"><a href="/equities/sap-ag">SAP</a></td>
+      <td data-column-name="exchange" title="Xetra">Xetra</td>
+      <td data-column-name="sum_pos_market_value" title="1.812,40 €">1,81 Tsd.</td>
+    </tr>
+    <tr data-pair-id="6408">
+      <td data-column-name="symbol">AAPL</td>
+      <td data-column-name="target_price">187,50</td>
+    </tr>
+    </tbody></table></body></html>`));
+
+  assert.equal(holdings['SAP:Xetra'].avgPrice, 150.5);
+  assert.equal(holdings['SAP:Xetra'].totalValue, 1812.4);
+  assert.equal(watchlistItems[0].targetPrice, 187.5);
+  assert.equal(offscreen.parseInstrumentPage('<html lang="de"><div data-test="instrument-price-last">1,0850</div></html>').lastPrice, 1.085);
+});
+
+test('portfolio tabs are typed by their icon and the selected tab is found', () => {
+  const page = plain(offscreen.parsePortfolioPage(readFixture('portfolio-main.html')));
+
+  assert.equal(page.selectedPortfolioId, '101');
+  assert.deepEqual(page.holdingsPortfolios, [
+    { id: 'tx==', numericId: '101', publicId: 'tx==', name: 'Taxable', type: 'holdings' },
+    { id: 'ira+1', numericId: '102', publicId: 'ira+1', name: 'IRA', type: 'holdings' },
+    { id: 'kids', numericId: '103', publicId: 'kids', name: 'Kids & Family', type: 'holdings' }
+  ]);
+  assert.deepEqual(page.watchlistPortfolios, [
+    { id: 'ideas', numericId: '201', publicId: 'ideas', name: 'Ideas', type: 'watchlist' }
+  ]);
+});
+
+test('duplicate symbol rows are combined while keeping each tax lot', () => {
+  const { holdings } = plain(offscreen.parsePortfolioPage(readFixture('portfolio-taxable.html')));
+  const apple = holdings['AAPL:NASDAQ'];
+
+  assert.deepEqual(Object.keys(holdings), ['AAPL:NASDAQ', 'MSFT:NASDAQ', 'SAP:Xetra']);
+  assert.equal(apple.qty, 15);
+  assert.equal(apple.avgPrice, 160);
+  assert.equal(apple.totalValue, 2850);
+  assert.equal(apple.url, '/equities/apple-computer-inc');
+  assert.deepEqual(apple.lots, [
+    { openTime: '1672531200', qty: 10, openPrice: 150, commission: 1.5 },
+    { openTime: '1704067200', qty: 5, openPrice: 180, commission: 1.5 }
+  ]);
+  assert.equal(holdings['MSFT:NASDAQ'].totalValue, 51170);
+});
+
+test('non-USD currencies are decoded from entities', () => {
+  const taxable = plain(offscreen.parsePortfolioPage(readFixture('portfolio-taxable.html')));
+  const ira = plain(offscreen.parsePortfolioPage(readFixture('portfolio-ira.html')));
+
+  assert.equal(taxable.holdings['SAP:Xetra'].currency, '€');
+  assert.equal(taxable.holdings['SAP:Xetra'].totalValue, 1200000);
+  assert.equal(ira.holdings['VOD:London'].currency, '£');
+  assert.equal(ira.holdings['VOD:London'].totalValue, 712.4);
+});
+
+test('the same ticker on different exchanges stays separate and absolute links are normalized', () => {
+  const { holdings } = plain(offscreen.parsePortfolioPage(readFixture('portfolio-ira.html')));
+
+  assert.equal(holdings['AAPL:NASDAQ'].qty, 20);
+  assert.equal(holdings['AAPL:NASDAQ'].url, '/equities/apple-computer-inc');
+  assert.equal(holdings['AAPL:Mexico'].qty, 3);
+});
+
+test('crypto, bond and fund positions are typed by their asset page', () => {
+  const { holdings } = plain(offscreen.parsePortfolioPage(`
+    <table><tbody>
+    <tr class="openPositionTR" data-pair-id="1057391" data-amount="0.015" data-open-price="40000" data-open-time="1700000000" data-curprice="60000">
+      <td data-column-name="sum_pos_fpb_symbols"><a href="/crypto/bitcoin">BTC</a></td>
+      <td data-column-name="exchange" title=""></td>
+    </tr>
+    <tr class="openPositionTR" data-pair-id="23705" data-amount="10000" data-open-price="98.5" data-open-time="1700000000" data-curprice="97">
+      <td data-column-name="sum_pos_fpb_symbols"><a href="/rates-bonds/u.s.-10-year-bond-yield">US10Y</a></td>
+      <td data-column-name="exchange" title="NYSE">NYSE</td>
+    </tr>
+    <tr class="openPositionTR" data-pair-id="1031" data-amount="12" data-open-price="410" data-open-time="1700000000">
+      <td data-column-name="sum_pos_fpb_symbols"><a href="/funds/vanguard-500-index-admiral">VFIAX</a></td>
+      <td data-column-name="sum_pos_market_value" title="$5,100.00">5.1K</td>
+    </tr>
+    </tbody></table>`));
+
+  assert.equal(holdings.BTC.assetType, 'crypto');
+  assert.equal(holdings.BTC.url, '/crypto/bitcoin');
+  assert.equal(holdings.BTC.totalValue, 900);
+  assert.equal(holdings['US10Y:NYSE'].assetType, 'bond');
+  assert.equal(holdings['US10Y:NYSE'].totalValue, 9700);
+  assert.equal(holdings.VFIAX.assetType, 'fund');
+  assert.equal(holdings.VFIAX.totalValue, 5100);
+});
+
+test('watchlist rows are parsed with notes and target prices', () => {
+  const page = plain(offscreen.parsePortfolioPage(readFixture('portfolio-watchlist.html')));
+
+  assert.equal(page.selectedPortfolioId, '201');
+  assert.deepEqual(page.holdings, {});
+  assert.deepEqual(page.watchlistItems, [
+    { pairId: '8849', symbol: 'NVDA', name: 'NVIDIA Corporation', url: '/equities/nvidia-corp', note: 'Buy below 100', targetPrice: 100 },
+    { pairId: '6408', symbol: 'AAPL', name: 'Apple Inc', url: '/equities/apple-computer-inc', note: '', targetPrice: null }
+  ]);
+});
+
+test('instrument pages yield their last price', () => {
+  assert.equal(offscreen.parseInstrumentPage(readFixture('currency-eur-usd.html')).lastPrice, 1.085);
+  assert.equal(offscreen.parseInstrumentPage('<div data-test="instrument-price-last">1,085.50</div>').lastPrice, 1085.5);
+  assert.equal(offscreen.parseInstrumentPage('<html><body></body></html>').lastPrice, null);
+});
+
+test('sign-in and bot check pages are recognized', () => {
+  assert.equal(offscreen.parsePortfolioPage(readFixture('login.html')).blocked, 'logged-out');
+  assert.equal(offscreen.parsePortfolioPage(readFixture('captcha.html')).blocked, 'captcha');
+  assert.equal(offscreen.parsePortfolioPage(readFixture('portfolio-main.html')).blocked, null);
+  assert.equal(offscreen.parsePortfolioPage('<html><body>Service Unavailable</body></html>').blocked, null);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { runScripts, plain } = require('./helpers/load-extension');
+
+const RESPONSE = {
+  match: { symbol: 'AAPL', exchange: 'NASDAQ', qty: 10, avgPrice: 150, totalValue: 1900, currency: '$', url: '/equities/apple-computer-inc' },
+  holdingKey: 'AAPL:NASDAQ',
+  fx: { baseCurrency: 'USD', rate: 1 },
+  portfolioTotal: 7600,
+  portfolioGroups: {},
+  sessionProblem: null
+};
+
+// Load the panel scripts into a jsdom asset page showing a last price and day change
+function loadAssetPage() {
+  const { window } = new JSDOM(`<!DOCTYPE html><body>
+    <div data-test="instrument-header-details">
+      <div data-test="instrument-price-last">200.00</div>
+      <div data-test="instrument-price-change">+10.00</div>
+    </div>
+  </body>`, { url: 'https://www.investing.com/equities/apple-computer-inc' });
+  const context = runScripts(['src/format.js', 'src/panel-state.js', 'src/panel-ui.js'], {
+    document: window.document,
+    location: window.location,
+    window
+  });
+  return { window, context };
+}
+
+// Labels of the panel's field items, in display order
+function fieldLabels(window) {
+  return Array.from(window.document.querySelectorAll('.portfolio-overlay-content .portfolio-overlay-label'))
+    .map(label => label.textContent);
+}
+
+test('the panel shows the fields chosen in settings, in order, with day change and weight', () => {
+  const { window, context } = loadAssetPage();
+
+  context.injectHoldingsPanel(RESPONSE, {}, {}, null);
+  assert.deepEqual(fieldLabels(window), ['Quantity', 'Avg. Buy Price', 'Total Value', 'P/L', 'Day Change', 'Weight']);
+  assert.equal(window.document.getElementById('panel-day-change').textContent, '+$100.00 (+5.26%)');
+  // 2000 live out of 7600 - 1900 cached + 2000 live
+  assert.equal(window.document.getElementById('panel-weight').textContent, '25.97%');
+
+  context.injectHoldingsPanel(RESPONSE, {}, { panelFields: ['pl', 'qty'], panelCompact: true }, null);
+  assert.deepEqual(fieldLabels(window), ['P/L', 'Quantity']);
+  assert.ok(window.document.getElementById('portfolio-overlay-panel').classList.contains('compact'));
+});
+
+test('a saved floating layout puts the panel over the page at its position', () => {
+  const { window, context } = loadAssetPage();
+
+  context.injectHoldingsPanel(RESPONSE, {}, {}, { collapsed: true, floating: true, position: { left: 0, top: 0 } });
+  const panel = window.document.getElementById('portfolio-overlay-panel');
+  assert.equal(panel.parentElement, window.document.body);
+  assert.ok(panel.classList.contains('floating'));
+  assert.ok(panel.classList.contains('collapsed'));
+  assert.equal(panel.querySelector('[data-panel-action="collapse"]').title, 'Expand');
+  // panelState is a top-level const, so it is reached through the context rather than as a property
+  const panelState = vm.runInContext('panelState', context);
+  assert.deepEqual(plain(panelState.layout), { collapsed: true, floating: true, position: { left: 0, top: 0 } });
+
+  panelState.setFloating(false);
+  context.updatePanelLayout(panel);
+  context.placePanel(panel);
+  assert.equal(panel.parentElement.getAttribute('data-test'), 'instrument-header-details');
+});
+
+test('values follow the number format settings, and an unknown currency is flagged', () => {
+  const { window, context } = loadAssetPage();
+
+  context.setDisplayFormat({ numberLocale: 'de-DE', priceDecimals: 3, currencyDisplay: 'code' });
+  context.injectHoldingsPanel(RESPONSE, {}, {}, null);
+  const avgPrice = window.document.querySelectorAll('.portfolio-overlay-content .portfolio-overlay-value')[1];
+  assert.equal(avgPrice.textContent.replace(/\s/g, ' '), '150,000 USD');
+  assert.equal(window.document.getElementById('panel-weight').textContent, '25,97%');
+  assert.equal(window.document.querySelector('.portfolio-overlay-stale'), null);
+
+  context.setDisplayFormat({});
+  context.injectHoldingsPanel({ ...RESPONSE, match: { ...RESPONSE.match, currency: 'Kč' } }, {}, {}, null);
+  assert.equal(window.document.getElementById('panel-total-value').textContent, '2,000.00 Kč');
+  assert.match(window.document.querySelector('.portfolio-overlay-stale').textContent, /Unknown currency "Kč"/);
+});
+
+test('manual holdings are labeled on the panel and in its portfolio breakdown', () => {
+  const { window, context } = loadAssetPage();
+  const portfolios = [
+    { portfolioId: '1', portfolioName: 'Taxable', qty: 6, avgPrice: 150, totalValue: 1140 },
+    { portfolioId: 'manual:1', portfolioName: 'Broker X', manual: true, qty: 4, avgPrice: 150, totalValue: 760 }
+  ];
+
+  context.injectHoldingsPanel({ ...RESPONSE, match: { ...RESPONSE.match, portfolios } }, {}, {}, null);
+  assert.equal(window.document.querySelector('.portfolio-overlay-header .portfolio-overlay-manual').textContent, 'Incl. manual');
+  const breakdownNames = Array.from(window.document.querySelectorAll('.portfolio-overlay-breakdown tbody td:first-child'))
+    .map(cell => cell.textContent);
+  assert.deepEqual(breakdownNames, ['Taxable', 'Broker X Manual']);
+
+  context.injectHoldingsPanel({ ...RESPONSE, match: { ...RESPONSE.match, portfolios: [portfolios[1]] } }, {}, {}, null);
+  assert.equal(window.document.querySelector('.portfolio-overlay-header .portfolio-overlay-manual').textContent, 'Manual');
+
+  context.injectHoldingsPanel(RESPONSE, {}, {}, null);
+  assert.equal(window.document.querySelector('.portfolio-overlay-manual'), null);
+});
@@ -0,0 +1,481 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, readFixture, plain } = require('./helpers/load-extension');
+
+test('a full sync against recorded pages', async t => {
+  const { server, env, background } = await setup(t);
+
+  await t.test('FORCE_REFRESH caches holdings merged across portfolios', async () => {
+    const response = await env.sendMessage({ type: 'FORCE_REFRESH' });
+    assert.deepEqual(plain(response), { success: true });
+
+    const portfolioData = env.store.portfolioData;
+    assert.deepEqual(Object.keys(portfolioData).sort(), ['AAPL:Mexico', 'AAPL:NASDAQ', 'MSFT:NASDAQ', 'SAP:Xetra', 'VOD:London']);
+
+    const apple = portfolioData['AAPL:NASDAQ'];
+    assert.equal(apple.qty, 35);
+    assert.equal(apple.totalValue, 6650);
+    assert.ok(Math.abs(apple.avgPrice - 4800 / 35) < 1e-9);
+    assert.deepEqual(apple.portfolios.map(p => [p.portfolioName, p.qty]), [['Taxable', 15], ['IRA', 20]]);
+    assert.equal(apple.lots.length, 3);
+    assert.equal(typeof env.store.lastSync, 'number');
+    assert.equal(env.offscreenDocuments.length, 1);
+  });
+
+  await t.test('a portfolio that keeps redirecting to another tab is skipped, not merged', () => {
+    const { portfoliosFound, holdingsPerPortfolio } = env.store.debugInfo;
+
+    assert.deepEqual(portfoliosFound.map(p => p.name), ['Taxable', 'IRA', 'Kids & Family']);
+    assert.equal(holdingsPerPortfolio['Kids & Family'].skipped, 'mismatch on retry - expected 103, got 101');
+    assert.equal(server.requests.filter(url => url === '/portfolio/?portfolioID=kids').length, 2);
+    // Had the redirected page been merged, Taxable's AAPL would be counted twice
+    assert.equal(env.store.portfolioData['AAPL:NASDAQ'].portfolios.length, 2);
+  });
+
+  await t.test('watchlists are stored with notes and target prices', () => {
+    const { watchlistData } = env.store;
+
+    assert.deepEqual(watchlistData['8849'].watchlists, [{ name: 'Ideas', note: 'Buy below 100', targetPrice: 100 }]);
+    assert.equal(watchlistData['6408'].symbol, 'AAPL');
+  });
+
+  await t.test('FX rates come from pair pages, inverting when only the reverse pair exists', () => {
+    const { fxRates } = env.store;
+
+    assert.equal(fxRates.base, 'USD');
+    assert.equal(fxRates.rates.EUR.rate, 1.085);
+    assert.equal(fxRates.rates.GBP.rate, 1.25);
+    assert.ok(server.requests.includes('/currencies/gbp-usd'));
+  });
+
+  await t.test('a daily history snapshot totals values in the base currency', () => {
+    const [snapshot] = env.store.portfolioHistory;
+
+    assert.equal(env.store.portfolioHistory.length, 1);
+    assert.equal(snapshot.currency, 'USD');
+    assert.equal(snapshot.holdings['SAP:Xetra'], 1200000);
+    assert.equal(snapshot.totalValue, 6650 + 570 + 51170 + 1200000 * 1.085 + 712.4 * 1.25);
+  });
+
+  await t.test('the first sync records no changes', () => {
+    assert.equal(env.store.changeLog, undefined);
+    assert.equal(env.notifications.length, 0);
+  });
+
+  await t.test('GET_PORTFOLIO_DATA serves the cached match with its FX rate', async () => {
+    const response = plain(await env.sendMessage({
+      type: 'GET_PORTFOLIO_DATA',
+      symbol: 'SAP',
+      exchange: 'Xetra',
+      url: '/equities/sap-ag'
+    }));
+
+    assert.equal(response.match.qty, 8000);
+    assert.equal(response.holdingKey, 'SAP:Xetra');
+    assert.deepEqual(response.fx, { baseCurrency: 'USD', rate: 1.085 });
+
+    // Position weights are taken against every holding's cached value in the base currency
+    const expectedTotal = Object.values(env.store.portfolioData).reduce((sum, holding) => {
+      const currency = background.getCurrencyCode(holding.currency);
+      return sum + holding.totalValue * (currency === 'USD' ? 1 : env.store.fxRates.rates[currency].rate);
+    }, 0);
+    assert.ok(Math.abs(response.portfolioTotal - expectedTotal) < 1e-6);
+    assert.ok(response.portfolioTotal > response.match.totalValue * response.fx.rate);
+  });
+
+  await t.test('a second sync logs and notifies position changes', async () => {
+    server.routes['/portfolio/?portfolioID=ira%2B1'] = {
+      body: readFixture('portfolio-ira.html')
+        .replace('data-amount="20"', 'data-amount="25"')
+        .replace(/<tr class="openPositionTR" data-pair-id="416"[\s\S]*?<\/tr>/, '')
+    };
+
+    await env.sendMessage({ type: 'FORCE_REFRESH' });
+
+    assert.deepEqual(env.store.changeLog.map(change => [change.type, change.key]), [
+      ['changed', 'AAPL:NASDAQ'],
+      ['closed', 'VOD:London']
+    ]);
+    assert.equal(env.store.changeLog[0].newQty, 40);
+    assert.deepEqual(env.store.changeLog[0].failedPortfolios, ['Kids & Family']);
+
+    assert.equal(env.notifications.length, 1);
+    assert.equal(env.notifications[0].title, 'Portfolio changes detected (2)');
+    assert.match(env.notifications[0].message, /AAPL \(NASDAQ\) qty 35 → 40/);
+    assert.match(env.notifications[0].message, /Failed to load: Kids & Family/);
+  });
+});
+
+test('a failed main page fetch leaves the cache untouched', async t => {
+  const { server, env } = await setup(t);
+  server.routes['/portfolio/'] = { status: 503, body: 'Service Unavailable' };
+
+  const response = await env.sendMessage({ type: 'FORCE_REFRESH' });
+
+  assert.deepEqual(plain(response), { error: 'Failed to fetch portfolio: 503' });
+  assert.equal(env.store.portfolioData, undefined);
+  assert.equal(env.store.lastSync, undefined);
+  assert.deepEqual(env.store.syncHistory.map(entry => [entry.trigger, entry.status, entry.error]), [
+    ['manual', 'failed', 'Failed to fetch portfolio: 503']
+  ]);
+});
+
+test('portfolios are synced from the investing.com edition chosen in settings', async t => {
+  const { env, fetchedUrls } = await setup(t);
+  env.store.settings = { edition: 'de' };
+
+  const response = await env.sendMessage({ type: 'FORCE_REFRESH' });
+
+  assert.deepEqual(plain(response), { success: true });
+  const portfolioUrls = fetchedUrls.filter(url => url.includes('/portfolio/'));
+  assert.equal(portfolioUrls[0], 'https://de.investing.com/portfolio/');
+  assert.ok(portfolioUrls.includes('https://de.investing.com/portfolio/?portfolioID=ira%2B1'));
+  assert.ok(portfolioUrls.every(url => url.startsWith('https://de.investing.com/')));
+  assert.ok(fetchedUrls.includes('https://de.investing.com/currencies/eur-usd'));
+  assert.ok(fetchedUrls.every(url => url.startsWith('https://de.investing.com/')));
+});
+
+test('excluding a portfolio resyncs without logging its positions as trades', async t => {
+  const { env } = await setup(t);
+  await env.sendMessage({ type: 'FORCE_REFRESH' });
+
+  const resynced = new Promise(resolve => {
+    env.createChrome('src/popup.html').runtime.onMessage.addListener(message => {
+      if (message.type === 'SYNC_PROGRESS' && message.sync === null) resolve();
+    });
+  });
+  await env.sendMessage({ type: 'SAVE_SETTINGS', settings: { ...env.store.settings, excludedPortfolioIds: ['102'] } });
+  await resynced;
+
+  assert.equal(env.store.portfolioData['VOD:London'], undefined);
+  assert.equal(env.store.syncHistory[0].trigger, 'settings');
+  assert.equal(env.store.changeLog, undefined);
+  assert.equal(env.notifications.length, 0);
+});
+
+test('price and P/L alerts fire once from live prices and validate their level', async t => {
+  const { env } = await setup(t);
+  await env.sendMessage({ type: 'FORCE_REFRESH' });
+  // AAPL:NASDAQ is held at an average of 4800 / 35 = 137.14
+  const addAlert = (alertType, level) => env.sendMessage({ type: 'ADD_ALERT', holdingKey: 'AAPL:NASDAQ', alertType, level });
+  const tick = price => env.sendMessage({ type: 'PRICE_UPDATE', prices: { 'AAPL:NASDAQ': price } });
+  const triggered = alerts => alerts.filter(alert => alert.triggeredAt).map(alert => alert.type).sort();
+
+  assert.match((await addAlert('priceAbove', NaN)).error, /level must be a number/);
+  assert.match((await addAlert('volumeAbove', 1)).error, /Unknown alert type/);
+  await addAlert('priceAbove', 200);
+  await addAlert('priceBelow', 130);
+  await addAlert('plAbove', 50);
+  await addAlert('plBelow', -10);
+
+  assert.deepEqual(triggered((await tick(199)).alerts), []);
+  assert.deepEqual(triggered((await tick(206)).alerts), ['plAbove', 'priceAbove']);
+  assert.deepEqual(triggered((await tick(123)).alerts), ['plAbove', 'plBelow', 'priceAbove', 'priceBelow']);
+  // Triggered alerts stay triggered and don't notify again
+  await tick(210);
+  assert.deepEqual(env.notifications.map(n => n.message.replace(/ - now.*/, '')).sort(), [
+    'P/L fell below -10%', 'P/L rose above 50%', 'Price fell below 130', 'Price rose above 200'
+  ]);
+});
+
+test('a crossing alert fires when the price moves past the average price, saving only changes of side', async t => {
+  const { env } = await setup(t);
+  await env.sendMessage({ type: 'FORCE_REFRESH' });
+  await env.sendMessage({ type: 'ADD_ALERT', holdingKey: 'AAPL:NASDAQ', alertType: 'crossAvgPrice' });
+  const tick = price => env.sendMessage({ type: 'PRICE_UPDATE', prices: { 'AAPL:NASDAQ': price } });
+  let alertWrites = 0;
+  env.createChrome('tab').storage.onChanged.addListener(changes => {
+    if (changes.priceAlerts) alertWrites++;
+  });
+
+  await tick(190);
+  await tick(191);
+  await tick(189.5);
+  assert.equal(alertWrites, 1);
+  assert.equal(env.notifications.length, 0);
+
+  const [alert] = (await tick(135)).alerts;
+  assert.equal(alert.triggeredPrice, 135);
+  assert.equal(alertWrites, 2);
+  assert.match(env.notifications[0].message, /^Price crossed your avg. buy price \(137.14\) - now 135.00/);
+});
+
+test('alerts are checked against the last known prices after a scheduled sync', async t => {
+  const { env } = await setup(t);
+  await env.sendMessage({ type: 'FORCE_REFRESH' });
+  // The last known price of AAPL:NASDAQ is 6650 / 35 = 190
+  await env.sendMessage({ type: 'ADD_ALERT', holdingKey: 'AAPL:NASDAQ', alertType: 'priceBelow', level: 195 });
+  await env.sendMessage({ type: 'ADD_ALERT', holdingKey: 'AAPL:NASDAQ', alertType: 'priceAbove', level: 195 });
+
+  await env.fireAlarm('portfolioRefresh');
+
+  assert.deepEqual(env.store.priceAlerts.map(alert => [alert.type, alert.triggeredPrice ?? null]), [['priceBelow', 190], ['priceAbove', null]]);
+  assert.equal(env.notifications.length, 1);
+  assert.equal(env.notifications[0].title, 'AAPL:NASDAQ alert');
+});
+
+test('manual holdings survive syncs and are merged into the holdings pages are matched against', async t => {
+  const { env } = await setup(t);
+
+  const added = await env.sendMessage({
+    type: 'SAVE_MANUAL_HOLDING',
+    holding: { symbol: 'AAPL', exchange: 'NASDAQ', qty: 5, avgPrice: 100, currency: '$', account: 'Broker X' }
+  });
+  await env.sendMessage({
+    type: 'SAVE_MANUAL_HOLDING',
+    holding: { symbol: 'NOVN', exchange: 'Swiss', qty: 10, avgPrice: 90, currency: 'CHF', url: 'https://de.investing.com/equities/novartis?cid=26490' }
+  });
+  const badLink = await env.sendMessage({
+    type: 'SAVE_MANUAL_HOLDING',
+    holding: { symbol: 'NOVN', exchange: 'Swiss', qty: 10, avgPrice: 90, currency: 'CHF', url: 'https://example.com/equities/novartis' }
+  });
+  assert.match(badLink.error, /Asset page must be a link/);
+  const rejected = await env.sendMessage({
+    type: 'SAVE_MANUAL_HOLDING',
+    holding: { symbol: 'AAPL', exchange: 'NASDAQ', qty: -1, avgPrice: 100, currency: '$' }
+  });
+  assert.match(rejected.error, /Quantity/);
+
+  await env.sendMessage({ type: 'FORCE_REFRESH' });
+  assert.equal(env.store.manualHoldings.length, 2);
+  assert.equal(env.store.portfolioData['AAPL:NASDAQ'].qty, 35);
+  assert.equal(env.store.portfolioData['NOVN:Swiss'], undefined);
+
+  // Synced and manual quantities add up, valued at the synced price
+  const apple = await env.sendMessage({ type: 'GET_PORTFOLIO_DATA', symbol: 'AAPL', exchange: 'NASDAQ' });
+  assert.equal(apple.match.qty, 40);
+  assert.equal(apple.match.totalValue, 6650 + 5 * 190);
+  assert.ok(Math.abs(apple.match.avgPrice - (4800 + 500) / 40) < 1e-9);
+  assert.deepEqual(plain(apple.match.portfolios.map(p => [p.portfolioName, p.qty, !!p.manual])), [['Taxable', 15, false], ['IRA', 20, false], ['Broker X', 5, true]]);
+
+  const novartis = await env.sendMessage({ type: 'GET_PORTFOLIO_DATA', symbol: 'NOVN', exchange: 'Swiss' });
+  assert.equal(novartis.match.qty, 10);
+  assert.equal(novartis.match.portfolios[0].portfolioName, 'Manual');
+  // Its asset page link lets list chips and pages without an exchange find it
+  assert.deepEqual([novartis.match.url, novartis.match.pairId, novartis.match.assetType], ['/equities/novartis', '26490', 'stock']);
+
+  // A manual holding in another currency than the synced position is refused
+  const mismatch = await env.sendMessage({
+    type: 'SAVE_MANUAL_HOLDING',
+    holding: { symbol: 'SAP', exchange: 'Xetra', qty: 1, avgPrice: 100, currency: 'USD' }
+  });
+  assert.match(mismatch.error, /SAP:Xetra is held on investing.com in €/);
+  // ...and so is one in another currency than a manual holding of the same instrument
+  const manualMismatch = await env.sendMessage({
+    type: 'SAVE_MANUAL_HOLDING',
+    holding: { symbol: 'NOVN', exchange: 'Swiss', qty: 3, avgPrice: 95, currency: 'EUR', account: 'Broker X' }
+  });
+  assert.match(manualMismatch.error, /NOVN:Swiss is already entered as a manual holding in CHF/);
+  assert.equal(env.store.manualHoldings.length, 2);
+
+  // Editing keeps the id; deleting removes it from the matches
+  const id = added.manualHoldings[0].id;
+  await env.sendMessage({ type: 'SAVE_MANUAL_HOLDING', holding: { ...added.manualHoldings[0], qty: 8 } });
+  assert.equal((await env.sendMessage({ type: 'GET_PORTFOLIO_DATA', symbol: 'AAPL', exchange: 'NASDAQ' })).match.qty, 43);
+  const remaining = await env.sendMessage({ type: 'DELETE_MANUAL_HOLDING', id });
+  assert.deepEqual(plain(remaining.manualHoldings.map(h => h.symbol)), ['NOVN']);
+  assert.equal((await env.sendMessage({ type: 'GET_PORTFOLIO_DATA', symbol: 'AAPL', exchange: 'NASDAQ' })).match.qty, 35);
+});
+
+test('concurrent sync requests share one run and report progress', async t => {
+  const { server, env } = await setup(t);
+  const progress = [];
+  env.createChrome('src/popup.html').runtime.onMessage.addListener(message => {
+    if (message.type === 'SYNC_PROGRESS') progress.push(message.sync);
+  });
+
+  const [manual, alarm] = await Promise.all([
+    env.sendMessage({ type: 'FORCE_REFRESH' }),
+    env.fireAlarm('portfolioRefresh')
+  ]);
+
+  assert.deepEqual(plain(manual), { success: true });
+  assert.equal(alarm.length, 1);
+  assert.equal(server.requests.filter(url => url === '/portfolio/').length, 1);
+
+  const phases = progress.filter(Boolean).map(p => `${p.phase} ${p.current || ''}/${p.total || ''}`.trim());
+  assert.deepEqual(phases, [
+    'main /',
+    'portfolios 1/3',
+    'portfolios 2/3',
+    'portfolios 3/3',
+    'watchlists 1/1',
+    'retry 1/1',
+    'finishing /'
+  ]);
+  assert.ok(progress.every(p => !p || p.trigger === 'manual'));
+  assert.equal(progress[progress.length - 1], null);
+
+  const status = await env.sendMessage({ type: 'GET_STATUS' });
+  assert.equal(status.sync, null);
+});
+
+test('cancelling a sync stops it before the retry round and skips the change log', async t => {
+  const { server, env } = await setup(t);
+  env.store.portfolioData = { 'VOD:London': { symbol: 'VOD', exchange: 'London', qty: 1000, avgPrice: 0.95 } };
+
+  env.createChrome('src/popup.html').runtime.onMessage.addListener(message => {
+    if (message.type === 'SYNC_PROGRESS' && message.sync && message.sync.phase === 'retry') {
+      env.sendMessage({ type: 'CANCEL_SYNC' });
+    }
+  });
+
+  const response = await env.sendMessage({ type: 'FORCE_REFRESH' });
+
+  assert.deepEqual(plain(response), { error: 'Sync cancelled' });
+  assert.equal(server.requests.filter(url => url === '/portfolio/?portfolioID=kids').length, 1);
+  // First round results were saved before the retry round started
+  assert.ok(env.store.portfolioData['AAPL:NASDAQ']);
+  assert.equal(env.store.changeLog, undefined);
+  assert.equal(env.store.portfolioHistory, undefined);
+  assert.deepEqual(plain(await env.sendMessage({ type: 'CANCEL_SYNC' })), { cancelled: false });
+  assert.equal(env.store.syncHistory[0].status, 'cancelled');
+  assert.equal(env.store.syncHistory[0].holdingsCount, null);
+});
+
+test('a fetch aborted by cancelling is not recorded as a portfolio failure', async t => {
+  const { env } = await setup(t);
+  env.createChrome('src/popup.html').runtime.onMessage.addListener(message => {
+    if (message.type === 'SYNC_PROGRESS' && message.sync && message.sync.phase === 'portfolios') {
+      env.sendMessage({ type: 'CANCEL_SYNC' });
+    }
+  });
+
+  for (let i = 0; i < 3; i++) {
+    assert.deepEqual(plain(await env.sendMessage({ type: 'FORCE_REFRESH' })), { error: 'Sync cancelled' });
+  }
+
+  const result = plain(await env.sendMessage({ type: 'GET_SYNC_HISTORY' }));
+  assert.deepEqual(result.history.map(entry => [entry.status, entry.portfolios.length]), [['cancelled', 0], ['cancelled', 0], ['cancelled', 0]]);
+  assert.deepEqual(result.failingPortfolios, []);
+});
+
+test('every sync is recorded in the sync history and repeat failures are flagged', async t => {
+  const { server, env } = await setup(t);
+
+  await env.sendMessage({ type: 'FORCE_REFRESH' });
+  await env.fireAlarm('portfolioRefresh');
+
+  let result = plain(await env.sendMessage({ type: 'GET_SYNC_HISTORY' }));
+  const [latest] = result.history;
+  assert.deepEqual(result.history.map(entry => entry.trigger), ['alarm', 'manual']);
+  assert.equal(latest.status, 'partial');
+  assert.equal(latest.holdingsCount, 5);
+  assert.equal(typeof latest.durationMs, 'number');
+  assert.deepEqual(latest.portfolios.map(p => [p.type, p.name, p.outcome, p.retried]), [
+    ['holdings', 'Taxable', 'ok', false],
+    ['holdings', 'IRA', 'ok', false],
+    ['holdings', 'Kids & Family', 'mismatch', true],
+    ['watchlist', 'Ideas', 'ok', false]
+  ]);
+  assert.equal(latest.portfolios[2].detail, 'expected 103, got 101');
+  assert.deepEqual(result.failingPortfolios, []);
+
+  await env.sendMessage({ type: 'FORCE_REFRESH' });
+  result = plain(await env.sendMessage({ type: 'GET_SYNC_HISTORY' }));
+  assert.deepEqual(result.failingPortfolios.map(p => [p.name, p.failures, p.outcome]), [['Kids & Family', 3, 'mismatch']]);
+
+  // A successful fetch ends the streak
+  server.routes['/portfolio/?portfolioID=kids'] = {
+    body: readFixture('portfolio-taxable.html').replace('class="portfolioTab selected"', 'class="portfolioTab"')
+      .replace('class="portfolioTab" data-portfolio-id="103"', 'class="portfolioTab selected" data-portfolio-id="103"')
+  };
+  await env.sendMessage({ type: 'FORCE_REFRESH' });
+  result = plain(await env.sendMessage({ type: 'GET_SYNC_HISTORY' }));
+  assert.equal(result.history[0].status, 'ok');
+  assert.deepEqual(result.failingPortfolios, []);
+});
+
+test('a signed-out or captcha page keeps the last good cache and flags the session', async t => {
+  const { server, env } = await setup(t);
+
+  await env.sendMessage({ type: 'FORCE_REFRESH' });
+  const { portfolioData, lastSync } = env.store;
+  const badgeText = env.badge.text;
+  assert.notEqual(badgeText, '!');
+
+  server.routes['/portfolio/'] = 'login.html';
+  let response = plain(await env.sendMessage({ type: 'FORCE_REFRESH' }));
+
+  assert.equal(response.error, 'Signed out of investing.com - sign in to refresh');
+  assert.deepEqual(env.store.portfolioData, portfolioData);
+  assert.equal(env.store.lastSync, lastSync);
+  assert.equal(env.store.sessionProblem.state, 'logged-out');
+  assert.equal(env.badge.text, '!');
+  assert.match(env.badge.title, /Signed out/);
+  assert.equal((await env.sendMessage({ type: 'GET_STATUS' })).sessionProblem.state, 'logged-out');
+
+  const panelResponse = plain(await env.sendMessage({ type: 'GET_PORTFOLIO_DATA', symbol: 'MSFT', exchange: 'NASDAQ' }));
+  assert.equal(panelResponse.match.qty, 120);
+  assert.equal(panelResponse.sessionProblem.state, 'logged-out');
+
+  // Bot checks are usually served with an error status
+  server.routes['/portfolio/'] = { status: 403, body: readFixture('captcha.html') };
+  response = plain(await env.sendMessage({ type: 'FORCE_REFRESH' }));
+  assert.match(response.error, /verify you are human/);
+  assert.equal(env.store.sessionProblem.state, 'captcha');
+
+  // Signing out during the first round stops the sync before anything is saved
+  server.routes['/portfolio/'] = 'portfolio-main.html';
+  server.routes['/portfolio/?portfolioID=ira%2B1'] = 'login.html';
+  response = plain(await env.sendMessage({ type: 'FORCE_REFRESH' }));
+  assert.equal(response.error, 'Signed out of investing.com - sign in to refresh');
+  assert.deepEqual(env.store.portfolioData, portfolioData);
+
+  server.routes['/portfolio/?portfolioID=ira%2B1'] = 'portfolio-ira.html';
+  response = plain(await env.sendMessage({ type: 'FORCE_REFRESH' }));
+  assert.deepEqual(response, { success: true });
+  assert.equal(env.store.sessionProblem, undefined);
+  assert.equal(env.badge.text, badgeText);
+});
+
+test('a portfolio page without any portfolio tabs does not wipe the cache', async t => {
+  const { server, env } = await setup(t);
+  env.store.portfolioData = { 'MSFT:NASDAQ': { symbol: 'MSFT', exchange: 'NASDAQ', qty: 120 } };
+  server.routes['/portfolio/'] = { body: '<html><body><h1>Portfolio</h1></body></html>' };
+
+  const response = plain(await env.sendMessage({ type: 'FORCE_REFRESH' }));
+
+  assert.equal(response.error, 'No portfolios found on the investing.com portfolio page');
+  assert.equal(env.store.portfolioData['MSFT:NASDAQ'].qty, 120);
+  assert.equal(env.store.lastSync, undefined);
+});
+
+test('the toolbar badge shows the metric chosen in settings', async t => {
+  const { server, env } = await setup(t);
+  const saveSettings = settings => env.sendMessage({ type: 'SAVE_SETTINGS', settings: { ...env.store.settings, ...settings } });
+
+  await env.sendMessage({ type: 'FORCE_REFRESH' });
+
+  // Default metric: total P/L % in the base currency from cached values
+  const cost = 35 * (4800 / 35) + 3 * 170 + 120 * 310.25 + 8000 * 120 * 1.085 + 1000 * 0.95 * 1.25;
+  const value = 6650 + 570 + 51170 + 1200000 * 1.085 + 712.4 * 1.25;
+  const plPercent = (value - cost) / cost * 100;
+  assert.equal(env.badge.text, `+${Math.round(plPercent)}%`);
+  assert.equal(env.badge.color, '#2e7d32');
+  assert.equal(env.badge.title, `Portfolio Overlay - Total P/L +${plPercent.toFixed(2)}%`);
+
+  await saveSettings({ badgeMetric: 'holdingsCount' });
+  assert.equal(env.badge.text, '5');
+
+  await saveSettings({ badgeMetric: 'warning' });
+  assert.equal(env.badge.text, '');
+
+  server.routes['/portfolio/'] = { status: 500, body: 'Internal Server Error' };
+  await env.sendMessage({ type: 'FORCE_REFRESH' });
+  assert.equal(env.badge.text, '!');
+  assert.equal(env.badge.title, 'Portfolio Overlay - Last sync failed: Failed to fetch portfolio: 500');
+
+  await saveSettings({ badgeMetric: 'none' });
+  assert.equal(env.badge.text, '');
+});
+
+test('the warning badge flags a cache older than the cache duration', async t => {
+  const { env } = await setup(t);
+  env.store.lastSync = Date.now() - 11 * 60 * 1000;
+
+  await env.sendMessage({ type: 'SAVE_SETTINGS', settings: { cacheDurationMinutes: 10, badgeMetric: 'warning' } });
+
+  assert.equal(env.badge.text, '!');
+  assert.equal(env.badge.title, 'Portfolio Overlay - Holdings are out of date');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { runScripts } = require('./helpers/load-extension');
+
+// Load the theme script into a jsdom page with the given <html> attributes
+function loadPage(htmlAttributes = '') {
+  const { window } = new JSDOM(`<!DOCTYPE html><html ${htmlAttributes}><body></body></html>`);
+  const context = runScripts(['src/theme.js'], {
+    document: window.document,
+    MutationObserver: window.MutationObserver,
+    getComputedStyle: window.getComputedStyle
+  });
+  return { window, context };
+}
+
+// Theme the overlay is currently styled with
+function overlayTheme(window) {
+  return window.document.documentElement.getAttribute('data-portfolio-overlay-theme');
+}
+
+test('auto follows the site theme, including a switch while the page is open', async () => {
+  const { window, context } = loadPage('class="theme-light"');
+
+  context.setupTheme('auto');
+  assert.equal(overlayTheme(window), 'light');
+
+  window.document.documentElement.className = 'theme-dark';
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(overlayTheme(window), 'dark');
+
+  window.document.documentElement.removeAttribute('class');
+  window.document.body.setAttribute('data-theme', 'light');
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.equal(overlayTheme(window), 'light');
+});
+
+test('a forced theme ignores the site theme, and a dark page background counts as dark', () => {
+  const { window, context } = loadPage('data-theme="dark"');
+  context.setupTheme('light');
+  assert.equal(overlayTheme(window), 'light');
+
+  const unmarked = loadPage();
+  unmarked.window.document.body.style.backgroundColor = 'rgb(20, 24, 33)';
+  unmarked.context.setupTheme('auto');
+  assert.equal(overlayTheme(unmarked.window), 'dark');
+});